@@ -0,0 +1,194 @@
+import { CircuitOpenError } from './Errors.js';
+
+/**
+ * Circuit breaker map: the File instances
+ * of one file path share its circuit breaker.
+ */
+const circuitBreakers = new Map();
+
+/**
+ * Gets or creates the circuit breaker of one file path. The options of the
+ * File creating it apply, the state change callbacks of all the Files are called.
+ * @param {string} filePath - The file path to get a circuit breaker for
+ * @param {Object} [options={}] - Configuration options, see CircuitBreaker
+ * @returns {CircuitBreaker} The circuit breaker of this file path
+ */
+export function getCircuitBreaker(filePath, options = {}) {
+  if (!circuitBreakers.has(filePath)) {
+    circuitBreakers.set(filePath, new CircuitBreaker(filePath, options));
+  } else if (options.onStateChange) {
+    circuitBreakers.get(filePath).onStateChange(options.onStateChange);
+  }
+  return circuitBreakers.get(filePath);
+}
+
+/**
+ * Circuit breaker shared by the read and write operations of a file path.
+ * After failureThreshold consecutive failed operations the circuit
+ * opens: new operations fail fast instead of going through their
+ * retry strategies. After the cooldown, one operation is let through
+ * as a probe (half-open): its success closes the circuit, its failure
+ * or its timeout opens it again for another cooldown.
+ */
+class CircuitBreaker {
+  /**
+   * Creates a new CircuitBreaker.
+   * @param {string} filePath - Path of the file.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {number} [options.failureThreshold=5] - Consecutive failed operations opening the circuit.
+   * @param {number} [options.cooldown=30000] - Time in milliseconds before an open circuit lets a probe through.
+   * @param {number} [options.probeTimeout] - Time in milliseconds the probe has to succeed or fail before the
+   *                                          circuit opens again. Set to 0 to wait indefinitely. Default: the cooldown
+   * @param {Function} [options.onStateChange] - Function to call when the state changes (state: string) => void
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._failureThreshold = options.failureThreshold !== undefined ? options.failureThreshold : 5;
+    this._cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+    this._probeTimeout = options.probeTimeout !== undefined ? options.probeTimeout : this._cooldown;
+    this._stateChangeCallbacks = options.onStateChange ? [options.onStateChange] : [];
+    this._state = 'closed';
+    this._failures = 0;
+    this._openedAt = 0;
+    this._probeTimer = null;
+  }
+
+  /**
+   * Current state: 'closed', 'open' or 'half-open'.
+   * @returns {string} The state
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Adds a callback for when the state changes.
+   * @param {Function} callback - Function to call with the new state (state: string) => void
+   * @returns {CircuitBreaker} This circuit breaker for chaining
+   */
+  onStateChange(callback) {
+    this._stateChangeCallbacks.push(callback);
+    return this;
+  }
+
+  /**
+   * Checks if an operation can run, and lets it through
+   * as the probe once the cooldown of an open circuit is over.
+   * @returns {Object|null} The ticket of the operation, to record its outcome,
+   *                        or null if the operation must fail fast
+   */
+  allow() {
+    if (this._state === 'closed') {
+      return { isProbe: false, isSettled: false };
+    }
+    if (this._state === 'open' && Date.now() - this._openedAt >= this._cooldown) {
+      this._setState('half-open');
+      const ticket = { isProbe: true, isSettled: false };
+      this._startProbeTimer(ticket);
+      return ticket;
+    }
+    // open, or half-open with the probe running.
+    return null;
+  }
+
+  /**
+   * Creates the error of the operations failing fast.
+   * @returns {CircuitOpenError} The error, with the code 'ECIRCUITOPEN'
+   */
+  createOpenError() {
+    const retryIn = Math.max(0, this._openedAt + this._cooldown - Date.now());
+    return new CircuitOpenError(`Circuit open after ${this._failures} failures, retry in ${retryIn} ms: ${this._filePath}`,
+      { path: this._filePath });
+  }
+
+  /**
+   * Records the success of an operation, e.g. the file opened:
+   * closes the circuit. The operation can still fail later.
+   * @param {Object} ticket - The ticket of the operation
+   */
+  recordSuccess(ticket) {
+    if (ticket.isSettled) return;
+    if (ticket.isProbe) this._clearProbeTimer();
+    ticket.isProbe = false;
+    this._failures = 0;
+    this._setState('closed');
+  }
+
+  /**
+   * Records the failure of an operation: opens the circuit once
+   * the threshold is reached, or again when the probe failed.
+   * @param {Object} ticket - The ticket of the operation
+   */
+  recordFailure(ticket) {
+    if (ticket.isSettled) return;
+    ticket.isSettled = true;
+    if (ticket.isProbe) this._clearProbeTimer();
+    this._failures++;
+    if (this._state === 'half-open' || this._failures >= this._failureThreshold) {
+      this._openedAt = Date.now();
+      this._setState('open');
+    }
+  }
+
+  /**
+   * Releases the ticket of an operation that ended without failure,
+   * e.g. finished or aborted. The probe of an aborted operation is
+   * released, the next operation is let through as the probe.
+   * @param {Object} ticket - The ticket of the operation
+   */
+  release(ticket) {
+    if (ticket.isSettled) return;
+    ticket.isSettled = true;
+    if (ticket.isProbe) this._clearProbeTimer();
+    if (ticket.isProbe && this._state === 'half-open') {
+      this._setState('open');
+    }
+  }
+
+  /**
+   * Opens the circuit again for another cooldown when the probe
+   * neither succeeds nor fails within the probe timeout, e.g. a
+   * write blocked on a dead device. The outcome of the probe
+   * is then ignored.
+   * @param {Object} ticket - The ticket of the probe
+   * @private
+   */
+  _startProbeTimer(ticket) {
+    if (this._probeTimeout <= 0) return;
+    this._probeTimer = setTimeout(() => {
+      this._probeTimer = null;
+      if (ticket.isSettled) return;
+      ticket.isSettled = true;
+      this._openedAt = Date.now();
+      this._setState('open');
+    }, this._probeTimeout);
+    // the process can exit while a probe is running.
+    this._probeTimer.unref();
+  }
+
+  /**
+   * Stops the probe timeout.
+   * @private
+   */
+  _clearProbeTimer() {
+    if (this._probeTimer) {
+      clearTimeout(this._probeTimer);
+      this._probeTimer = null;
+    }
+  }
+
+  /**
+   * Changes the state and calls the state change callback.
+   * @param {string} state - The new state
+   * @private
+   */
+  _setState(state) {
+    if (this._state === state) return;
+    this._state = state;
+    for (const callback of this._stateChangeCallbacks) {
+      callback(state);
+    }
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,145 @@
+/**
+ * Error classes of keep-streaming. All of them extend KeepStreamingError
+ * and carry a code, the path of the file, the number of attempts
+ * and the phase of the failure, when known, and the underlying
+ * error as cause.
+ */
+
+/**
+ * Base class of the errors reported by keep-streaming.
+ */
+export class KeepStreamingError extends Error {
+  /**
+   * Creates a new KeepStreamingError.
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details.
+   * @param {string} [details.code] - The error code.
+   * @param {string} [details.path] - Path of the file.
+   * @param {number} [details.attempts] - Number of attempts made.
+   * @param {string} [details.phase] - Phase of the failure: 'exists', 'open', 'read', 'write', 'idle',
+   *                                   'response', 'queue' or 'lock'.
+   * @param {*} [details.cause] - The underlying error.
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+    this.name = new.target.name;
+    this.code = details.code;
+    this.path = details.path !== undefined ? details.path : null;
+    this.attempts = details.attempts !== undefined ? details.attempts : null;
+    this.phase = details.phase !== undefined ? details.phase : null;
+  }
+}
+
+/**
+ * A retry strategy gave up after failed attempts.
+ * Code: 'ERR_RETRIES_EXHAUSTED'.
+ */
+export class RetriesExhaustedError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: path, attempts, phase and cause.
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ERR_RETRIES_EXHAUSTED' });
+  }
+}
+
+/**
+ * The file or device didn't exist within the retries, or
+ * within the hotplug timeout. Code: 'ERR_FILE_NOT_AVAILABLE'.
+ */
+export class FileNotAvailableError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: path, attempts, phase and cause.
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ERR_FILE_NOT_AVAILABLE', phase: 'exists' });
+  }
+}
+
+/**
+ * A read stream reached the readTimeout, stayed idle for the
+ * idleTimeout, or a request got no response. Code: 'ETIMEDOUT'.
+ */
+export class ReadTimeoutError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: path, attempts, phase and cause.
+   */
+  constructor(message, details = {}) {
+    super(message, { phase: 'read', ...details, code: 'ETIMEDOUT' });
+  }
+}
+
+/**
+ * A write attempt reached the writeTimeout,
+ * or the lock file was not acquired in time. Code: 'ETIMEDOUT'.
+ */
+export class WriteTimeoutError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: path, attempts, phase and cause.
+   */
+  constructor(message, details = {}) {
+    super(message, { phase: 'write', ...details, code: 'ETIMEDOUT' });
+  }
+}
+
+/**
+ * A read or write operation was cancelled through
+ * its AbortSignal. Code: 'ABORT_ERR'.
+ */
+export class AbortError extends KeepStreamingError {
+  /**
+   * Creates a new AbortError.
+   * @param {*} [reason] - The abort reason of the signal.
+   * @param {Object} [details={}] - Error details: path and phase.
+   */
+  constructor(reason, details = {}) {
+    super('The operation was aborted.', { ...details, code: 'ABORT_ERR', cause: reason });
+  }
+}
+
+/**
+ * The circuit breaker of the file is open, the operation
+ * failed fast. Code: 'ECIRCUITOPEN'.
+ */
+export class CircuitOpenError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: path, attempts, phase and cause.
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'ECIRCUITOPEN' });
+  }
+}
+
+/**
+ * A write was rejected or removed by the write queue. Code:
+ * 'ERR_WRITE_QUEUE_FULL', 'ERR_WRITE_DROPPED', 'ERR_WRITE_SUPERSEDED' or 'ERR_WRITE_CLEARED'.
+ */
+export class WriteQueueError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: code and path.
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, phase: 'queue' });
+  }
+}
+
+/**
+ * Data exceeded a size limit: the bufferLimit of a paused read
+ * operation, or the maxFrameLength of a frame. Code:
+ * 'ERR_BUFFER_LIMIT' or 'ERR_FRAME_TOO_LONG'.
+ */
+export class LimitExceededError extends KeepStreamingError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Error details: code and path.
+   */
+  constructor(message, details = {}) {
+    super(message, { phase: 'read', ...details });
+  }
+}
@@ -1,5 +1,42 @@
 import ReadOperation from './ReadOperation.js';
 import WriteOperation from './WriteOperation.js';
+import { getWriteQueue, getWriteQueueDepth } from './WriteQueue.js';
+import RequestOperation from './RequestOperation.js';
+import { FileReadable, FileWritable, FileDuplex } from './FileStreams.js';
+import { getCircuitBreaker } from './CircuitBreaker.js';
+import { FileNotAvailableError, RetriesExhaustedError } from './Errors.js';
+import { getFileKind, isDeviceFile } from './FileKind.js';
+
+/**
+ * Returns a signal aborted when one of the signals is aborted.
+ * AbortSignal.any() is not available in Node.js 18.
+ * @param {AbortSignal[]} signals - The signals
+ * @returns {Object} The combined signal, and the release function
+ *                   removing its listeners: { signal, release }
+ */
+function anySignal(signals) {
+  const controller = new AbortController();
+  const listeners = [];
+  const release = () => {
+    for (const [signal, listener] of listeners) {
+      signal.removeEventListener('abort', listener);
+    }
+    listeners.length = 0;
+  };
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const listener = () => {
+      release();
+      controller.abort(signal.reason);
+    };
+    signal.addEventListener('abort', listener, { once: true });
+    listeners.push([signal, listener]);
+  }
+  return { signal: controller.signal, release };
+}
 
 /**
  * Default retry strategies that are used when no custom strategies are provided
@@ -10,19 +47,21 @@ import WriteOperation from './WriteOperation.js';
  * For device files, handles cases where devices might not be available.
  * For regular files, tries to find the file with exponential backoff.
  */
-const defaultReadFileExistsRetryStrategy = (error, attempt, information) => {
+const defaultReadFileExistsRetryStrategy = (error, attempt, information, context) => {
   if (error.code === 'ENOENT') {
-    if (information.startsWith('/dev/')) {
+    if (context.fileType === 'device') {
       // For device files, ENOENT often means device not available
       if (attempt >= 10) {
-        throw new Error(`Device not available after ${attempt} retries: ${information}`);
+        throw new FileNotAvailableError(`Device not available after ${attempt} retries: ${information}`,
+          { path: information, attempts: attempt, cause: error });
       }
       // Longer wait for device to become available
       return 2000 * Math.min(attempt, 5);
     } else {
       // Regular file behavior
       if (attempt >= 5) {
-        throw new Error(`File not found after ${attempt} retries: ${information}`);
+        throw new FileNotAvailableError(`File not found after ${attempt} retries: ${information}`,
+          { path: information, attempts: attempt, cause: error });
       }
       return 1000 * attempt;
     }
@@ -38,7 +77,8 @@ const defaultReadFileExistsRetryStrategy = (error, attempt, information) => {
  */
 const defaultReadFileRetryStrategy = (error, attempt, information) => {
   if (attempt >= 5) {
-    throw new Error(`Failed to read file after ${attempt} retries: ${information}`);
+    throw new RetriesExhaustedError(`Failed to read file after ${attempt} retries: ${information}`,
+      { path: information, attempts: attempt, phase: 'read', cause: error });
   }
   return 100;
 };
@@ -48,19 +88,21 @@ const defaultReadFileRetryStrategy = (error, attempt, information) => {
  * For device files, handles cases where devices might not be available.
  * For regular files, tries to find the file with exponential backoff.
  */
-const defaultWriteFileExistsRetryStrategy = (error, attempt, information) => {
+const defaultWriteFileExistsRetryStrategy = (error, attempt, information, context) => {
   if (error.code === 'ENOENT') {
-    if (information.startsWith('/dev/')) {
+    if (context.fileType === 'device') {
       // For device files, ENOENT often means device not available
       if (attempt >= 10) {
-        throw new Error(`Device not available after ${attempt} retries: ${information}`);
+        throw new FileNotAvailableError(`Device not available after ${attempt} retries: ${information}`,
+          { path: information, attempts: attempt, cause: error });
       }
       // Longer wait for device to become available
       return 2000 * Math.min(attempt, 5);
     } else {
       // Regular file behavior
       if (attempt >= 5) {
-        throw new Error(`File not found after ${attempt} retries: ${information}`);
+        throw new FileNotAvailableError(`File not found after ${attempt} retries: ${information}`,
+          { path: information, attempts: attempt, cause: error });
       }
       return 1000 * attempt;
     }
@@ -73,8 +115,13 @@ const defaultWriteFileExistsRetryStrategy = (error, attempt, information) => {
  * Default retry strategy for write operations.
  */
 const defaultWriteFileRetryStrategy = (error, attempt, information) => {
+  if (error.code === 'EEXIST') {
+    // exclusive mode, the file won't go away by itself.
+    throw error;
+  }
   if (attempt >= 5) {
-    throw new Error(`Failed to write to file after ${attempt} retries: ${information}`);
+    throw new RetriesExhaustedError(`Failed to write to file after ${attempt} retries: ${information}`,
+      { path: information, attempts: attempt, phase: 'write', cause: error });
   }
   return 100;
 };
@@ -92,8 +139,51 @@ export class File {
    * 
    * @param {string} filePath - Path to the file, device file (/dev/*), or FIFO
    * @param {Object} [options={}] - Configuration options
-   * @param {number} [options.readTimeout] - Optional read timeout in milliseconds. Set to 0 to disable. 
-   *                                         Default: 0 (disabled)
+   * @param {number} [options.readTimeout] - Optional read timeout in milliseconds: maximum lifetime of each read stream,
+   *                                         even if data is flowing. Set to 0 to disable. Default: 0 (disabled)
+   * @param {number} [options.idleTimeout] - Optional inactivity timeout in milliseconds, reset on every data chunk.
+   *                                         Set to 0 to disable. Default: 0 (disabled)
+   * @param {string} [options.idleAction] - Optional action when the idle timeout expires: 'report' (only call onIdle),
+   *                                        'reopen' (reopen through readFileRetryStrategy) or 'finish'. Default: 'report'
+   * @param {boolean} [options.shared] - Optional, read operations of this path share one underlying reader,
+   *                                     each chunk is delivered to all of them. Default: false
+   * @param {boolean} [options.hotplug] - Optional, read operations wait for the file with fs.watch on its parent
+   *                                      directory instead of readFileExistsRetryStrategy, and wait again when it is
+   *                                      removed while reading. Default: false
+   * @param {number} [options.hotplugTimeout] - Optional maximum time in milliseconds to wait for the file with hotplug.
+   *                                            Set to 0 to wait indefinitely. Default: 0
+   * @param {AbortSignal} [options.signal] - Optional signal aborting all the read and write operations of this file
+   * @param {number} [options.maxQueue] - Optional maximum number of writes waiting in the write queue of the path.
+   *                                     Set to 0 for no limit. Default: 0
+   * @param {string} [options.queuePolicy] - Optional policy when the write queue is full: 'reject' (the new write) or
+   *                                        'drop-oldest'. 'coalesce-latest' also drops the queued 'coalesce-latest' writes
+   *                                        of the same or a lower priority, full or not. Default: 'reject'
+   * @param {number} [options.writeTimeout] - Optional maximum time in milliseconds of each write attempt: open, write
+   *                                         and finish. Handled by writeFileRetryStrategy. Default: 0 (disabled)
+   * @param {boolean} [options.nonBlockingOpen] - Optional, writes to a FIFO fail with ENXIO when there is no reader,
+   *                                            instead of waiting for one, and with EAGAIN when the FIFO stays full.
+   *                                            Default: false
+   * @param {boolean} [options.processLock] - Optional, also serialize the writes across processes with a lock file.
+   *                                          Default: false
+   * @param {string} [options.lockPath] - Optional path of the lock file. Default: '<filePath>.lock', or a file in
+   *                                      the temporary directory for the paths in /dev/
+   * @param {number} [options.lockTimeout] - Optional maximum time in milliseconds to acquire the lock file.
+   *                                         Set to 0 to wait indefinitely. Default: 10000
+   * @param {number} [options.staleLockTimeout] - Optional age in milliseconds after which a lock file is stale and
+   *                                              taken over. Set to 0 to only take over the locks of processes
+   *                                              that are not running anymore. Default: 60000
+   * @param {boolean|Object} [options.circuitBreaker] - Optional circuit breaker shared by all the read and write
+   *                                                   operations of this file path, across File instances (the
+   *                                                   options of the first one apply): after consecutive failed operations,
+   *                                                   new operations fail fast with ECIRCUITOPEN until a probe
+   *                                                   operation succeeds. true for the defaults, or options:
+   * @param {number} [options.circuitBreaker.failureThreshold] - Consecutive failed operations opening the circuit. Default: 5
+   * @param {number} [options.circuitBreaker.cooldown] - Time in milliseconds before a probe operation is let through.
+   *                                                    Default: 30000
+   * @param {number} [options.circuitBreaker.probeTimeout] - Time in milliseconds the probe operation has to succeed
+   *                                                        or fail before the circuit opens again. Set to 0 to wait
+   *                                                        indefinitely. Default: the cooldown
+   * @param {Function} [options.circuitBreaker.onStateChange] - Function to call when the state changes (state: string) => void
    * @param {Function} [options.readFileExistsRetryStrategy] - Optional custom retry strategy for file existence before reading
    * @param {Function} [options.writeFileExistsRetryStrategy] - Optional custom retry strategy for file existence before writing
    * @param {Function} [options.readFileRetryStrategy] - Optional custom retry strategy for read stream failures
@@ -120,16 +210,138 @@ export class File {
     // Provide default values for missing options
     this._options = {
       readTimeout: options.readTimeout !== undefined ? options.readTimeout : 0,
+      idleTimeout: options.idleTimeout !== undefined ? options.idleTimeout : 0,
+      idleAction: options.idleAction || 'report',
+      shared: options.shared === true,
+      hotplug: options.hotplug === true,
+      hotplugTimeout: options.hotplugTimeout !== undefined ? options.hotplugTimeout : 0,
+      signal: options.signal,
+      maxQueue: options.maxQueue !== undefined ? options.maxQueue : 0,
+      queuePolicy: options.queuePolicy || 'reject',
+      writeTimeout: options.writeTimeout !== undefined ? options.writeTimeout : 0,
+      nonBlockingOpen: options.nonBlockingOpen === true,
+      processLock: options.processLock === true,
+      lockPath: options.lockPath,
+      lockTimeout: options.lockTimeout !== undefined ? options.lockTimeout : 10000,
+      staleLockTimeout: options.staleLockTimeout !== undefined ? options.staleLockTimeout : 60000,
       readFileExistsRetryStrategy: options.readFileExistsRetryStrategy || defaultReadFileExistsRetryStrategy,
       writeFileExistsRetryStrategy: options.writeFileExistsRetryStrategy || defaultWriteFileExistsRetryStrategy,
       readFileRetryStrategy: options.readFileRetryStrategy || defaultReadFileRetryStrategy,
       writeFileRetryStrategy: options.writeFileRetryStrategy || defaultWriteFileRetryStrategy
     };
+
+    // Statistics of all the operations of this file
+    this._stats = {
+      bytesRead: 0,
+      bytesWritten: 0,
+      readChunks: 0,
+      writes: 0,
+      retries: { readExists: 0, read: 0, writeExists: 0, write: 0 },
+      reconnects: 0,
+      waitingTime: 0,
+      lastError: null
+    };
+
+    this._circuitBreaker = options.circuitBreaker
+      ? getCircuitBreaker(filePath, options.circuitBreaker === true ? {} : options.circuitBreaker)
+      : null;
+  }
+
+  /**
+   * Returns the statistics of all the read and write operations of this file.
+   * 
+   * @returns {Object} Statistics: bytesRead, bytesWritten, readChunks, writes,
+   *                   retries ({ readExists, read, writeExists, write }), reconnects,
+   *                   waitingTime (milliseconds spent waiting for the file to exist),
+   *                   lastError, writeQueueDepth (writes waiting for the mutex of this path)
+   *                   and circuitState (see getCircuitState())
+   * 
+   * @example
+   * const stats = file.getStats();
+   * console.log(`${stats.bytesRead} bytes read, ${stats.reconnects} reconnects`);
+   */
+  getStats() {
+    return {
+      ...this._stats,
+      retries: { ...this._stats.retries },
+      writeQueueDepth: getWriteQueueDepth(this._filePath),
+      circuitState: this.getCircuitState()
+    };
+  }
+
+  /**
+   * Returns the state of the circuit breaker of this file.
+   * 
+   * @returns {string|null} 'closed', 'open' (operations fail fast), 'half-open' (a probe operation
+   *                        is running) or null without the circuitBreaker option
+   * 
+   * @example
+   * if (file.getCircuitState() === 'open') {
+   *   console.log('Device down, commands are not sent');
+   * }
+   */
+  getCircuitState() {
+    return this._circuitBreaker ? this._circuitBreaker.state : null;
+  }
+
+  /**
+   * Returns the kind of the file, detected with fs.stat. Symlinks are followed,
+   * e.g. /dev/serial/by-id/* is a character device. The kind decides the open
+   * flags and the default retry strategies: a path that doesn't exist is handled
+   * as a device if it is in /dev/.
+   * 
+   * @returns {string|null} 'character-device', 'block-device', 'fifo', 'socket', 'directory', 'regular',
+   *                        or null if the file doesn't exist
+   * 
+   * @example
+   * const sensor = new File('/dev/serial/by-id/usb-Arduino_Uno-if00');
+   * console.log(sensor.getKind()); // 'character-device'
+   */
+  getKind() {
+    return getFileKind(this._filePath);
+  }
+
+  /**
+   * Cancels the write operations of this path waiting in the write queue.
+   * They reject with an error, the running write operation is not affected.
+   * 
+   * @returns {number} Number of cancelled write operations
+   * 
+   * @example
+   * // the device is gone, drop the backlog.
+   * const dropped = file.clearWriteQueue();
+   */
+  clearWriteQueue() {
+    return getWriteQueue(this._filePath).clear();
   }
 
   /**
    * Creates a read operation for this file that can be executed.
    * 
+   * @param {Object} [options={}] - Read options, override the File options for this operation
+   * @param {boolean} [options.follow] - For regular files, keep reading appended data after EOF
+   *                                     instead of finishing, reopen the file when it is truncated or rotated.
+   *                                     Default: false
+   * @param {boolean} [options.fromEnd] - For regular files, start reading at the end of the file. Default: false
+   * @param {number} [options.followInterval] - Interval in milliseconds between checks for appended data. Default: 1000
+   * @param {number} [options.start] - For regular files, byte offset to start reading at. Default: 0
+   * @param {number} [options.end] - For regular files, byte offset to stop reading at (inclusive). Default: end of file
+   * @param {string} [options.checkpointFile] - Path of a file storing the offset of the next byte to read. An existing
+   *                                            checkpoint takes precedence over start and fromEnd. Default: none
+   * @param {number} [options.bufferLimit] - Keep reading while paused and buffer up to bufferLimit bytes, for devices
+   *                                         that can't be paused. Set to 0 to pause the stream instead. Default: 0
+   * @param {string} [options.bufferPolicy] - Policy when the buffer is full: 'drop-oldest', 'drop-newest' or 'error'.
+   *                                          Default: 'error'
+   * @param {boolean} [options.shared] - Share one underlying reader per path with the other shared read operations.
+   *                                     Default: the File option
+   * @param {AbortSignal} [options.signal] - Signal to abort the read operation, reported as an AbortError.
+   *                                        Default: the File option
+   * @param {string} [options.encoding] - Encoding of the chunks passed to onData, e.g. 'utf8'. Multi-byte characters
+   *                                      split across chunks are kept whole. Default: none (Buffers)
+   * @param {number} [options.highWaterMark] - Size in bytes of the chunks read from the stream. Default: 1024
+   * @param {boolean} [options.hotplug] - Wait for the file with fs.watch. Default: the File option
+   * @param {number} [options.hotplugTimeout] - Maximum time in milliseconds to wait for the file with hotplug.
+   *                                            Default: the File option
    * @returns {ReadOperation} A ReadOperation instance that can be executed with .read()
    * 
    * @example
@@ -147,15 +359,47 @@ export class File {
    *     console.error('Read failed:', err.message);
    *   })
    *   .read(); // Execute at the end
+   * 
+   * @example
+   * // Follow a log file, like tail -f
+   * file.prepareRead({ follow: true, fromEnd: true })
+   *   .onLine(line => console.log(line))
+   *   .read();
    */
-  prepareRead() {
-    return new ReadOperation(this._filePath, this._options);
+  prepareRead(options = {}) {
+    return new ReadOperation(this._filePath, { ...this._options, ...options }, this._stats, this._circuitBreaker);
   }
 
   /**
    * Creates a write operation for this file that can be executed.
    * 
-   * @param {string|Buffer} data - The data to write to the file
+   * @param {string|Buffer|Readable|Iterable|AsyncIterable} data - The data to write to the file. Readable streams
+   *                                                              and (async) iterables of strings or Buffers are
+   *                                                              written chunk by chunk under one mutex hold
+   * @param {Object} [options={}] - Write options, override the File options for this operation
+   * @param {string} [options.encoding] - Encoding of string data: 'utf8', 'latin1', 'hex', 'base64', ...
+   *                                      Default: 'utf8'
+   * @param {string} [options.mode] - Write mode for regular files: 'truncate', 'append', 'exclusive' (fails with
+   *                                  EEXIST if the file exists) or 'offset' (writes at options.offset, without
+   *                                  truncating). Default: 'truncate'
+   * @param {number} [options.offset] - Byte offset to write at, for the 'offset' mode
+   * @param {boolean} [options.atomic] - Write to a temporary file in the same directory, fsync it, rename it over
+   *                                    the file and fsync the directory, keeping its mode, owner and symlinks.
+   *                                    Regular files, 'truncate' mode only.
+   *                                    Default: false
+   * @param {boolean} [options.fsync] - Fsync regular files before closing them. Default: false
+   * @param {number} [options.priority] - Queued writes with a higher priority run first. Default: 0
+   * @param {number} [options.maxQueue] - Maximum number of writes waiting in the write queue of the path, 0 for no limit.
+   *                                     Default: the File option
+   * @param {string} [options.queuePolicy] - Policy when the write queue is full: 'reject' (this write) or 'drop-oldest'.
+   *                                        'coalesce-latest' also drops the queued 'coalesce-latest' writes of the same
+   *                                        or a lower priority, full or not. Default: the File option
+   * @param {number} [options.writeTimeout] - Maximum time in milliseconds of each write attempt. Default: the File option
+   * @param {boolean} [options.nonBlockingOpen] - Fail with ENXIO when a FIFO has no reader. Default: the File option
+   * @param {boolean} [options.processLock] - Also serialize the write across processes with a lock file.
+   *                                          Default: the File option
+   * @param {AbortSignal} [options.signal] - Signal to abort the write operation, even while it is queued
+   *                                        or waiting for a retry. Rejects with an AbortError. Default: the File option
    * @returns {WriteOperation} A WriteOperation instance that can be executed with .write()
    * 
    * @example
@@ -175,9 +419,137 @@ export class File {
    *   .onFinish(() => console.log('Binary data written'))
    *   .onError(err => console.error('Write error:', err))
    *   .write(); // Execute at the end
+   * 
+   * // Streaming a large file with progress
+   * file.prepareWrite(fs.createReadStream('firmware.bin'))
+   *   .onProgress(bytes => console.log(`${bytes} bytes written`))
+   *   .write();
+   * 
+   * // Cancelling a write
+   * const controller = new AbortController();
+   * file.prepareWrite('data', { signal: controller.signal })
+   *   .writeAsync()
+   *   .catch(err => console.log(err.name)); // AbortError
+   * controller.abort();
    */
-  prepareWrite(data) {
-    return new WriteOperation(this._filePath, data, this._options);
+  prepareWrite(data, options = {}) {
+    return new WriteOperation(this._filePath, data, { ...this._options, ...options }, this._stats, this._circuitBreaker);
+  }
+
+  /**
+   * Writes a command and waits for the response frame matching it,
+   * e.g. for command/response devices. The command is written through
+   * the per-path write mutex. Requests of the same path are serialized:
+   * a request waits for the response of the previous one.
+   * 
+   * @param {string|Buffer} data - The command to write
+   * @param {Object} [options={}] - Request options
+   * @param {Function|RegExp} [options.match] - Matcher of the response frame (frame) => boolean, the frames
+   *                                            not matching are ignored. Default: the first frame
+   * @param {number} [options.timeout] - Maximum time in milliseconds to wait for the response, once the command
+   *                                     is written. Set to 0 to wait indefinitely. Default: 5000
+   * @param {number} [options.openTimeout] - Maximum time in milliseconds for the file to open once the previous
+   *                                         requests got their response, e.g. a missing device. Set to 0 to wait
+   *                                         indefinitely. Default: the timeout
+   * @param {string|Buffer} [options.delimiter] - Delimiter of the response frames. Default: lines ('\n', '\r\n' or '\r')
+   * @param {string|null} [options.encoding] - Encoding of the response frames, null for Buffers. Default: 'utf8'
+   * @param {number} [options.maxFrameLength] - Maximum response frame length in bytes. Default: 0 (disabled)
+   * @param {boolean} [options.shared] - Read the response through the shared reader of the path. Always true for
+   *                                     devices. Default: the File option
+   * @param {AbortSignal} [options.signal] - Signal to abort the request, even while it is queued. Default: the File option
+   * @returns {Promise<string|Buffer>} Resolves with the response frame, rejects on timeout, abort or error
+   * 
+   * @example
+   * const modem = new File('/dev/ttyUSB0');
+   * const response = await modem.request('AT+CSQ\r\n', {
+   *   match: /^\+CSQ:/,
+   *   timeout: 1000
+   * });
+   */
+  request(data, options = {}) {
+    const requestOptions = { shared: this._options.shared, signal: this._options.signal, ...options };
+    if (isDeviceFile(this._filePath)) {
+      // other shared read operations of the device must not take the response.
+      requestOptions.shared = true;
+    }
+    return new RequestOperation(
+      this._filePath,
+      data,
+      requestOptions,
+      () => this.prepareRead({ shared: requestOptions.shared, signal: undefined }),
+      (command) => this.prepareWrite(command, { signal: requestOptions.signal })
+    ).send();
+  }
+
+  /**
+   * Creates a Readable stream for this file, backed by a ReadOperation.
+   * Reading pauses while the stream buffer is full.
+   * 
+   * @param {Object} [options] - Readable stream options (highWaterMark, ...)
+   * @returns {Readable} A Readable stream
+   * 
+   * @example
+   * import { pipeline } from 'stream/promises';
+   * import { createGzip } from 'zlib';
+   * 
+   * await pipeline(
+   *   file.createReadable(),
+   *   createGzip(),
+   *   fs.createWriteStream('/tmp/log.gz')
+   * );
+   */
+  createReadable(options) {
+    return new FileReadable(this.prepareRead(), options);
+  }
+
+  /**
+   * Creates a Writable stream for this file, backed by a single
+   * WriteOperation started by the first chunk. It holds the write queue
+   * of the path until the stream is finished, so the chunks are written
+   * through one open file. Regular files are truncated.
+   * 
+   * @param {Object} [options] - Writable stream options (highWaterMark, ...)
+   * @returns {Writable} A Writable stream
+   * 
+   * @example
+   * await pipeline(source, transform, file.createWritable());
+   */
+  createWritable(options) {
+    return new FileWritable(this._createStreamWriteOperation(), options);
+  }
+
+  /**
+   * Creates a Duplex stream for this file, e.g. for a character
+   * device opened in read-write mode (r+). Combines createReadable()
+   * and createWritable().
+   * 
+   * @param {Object} [options] - Duplex stream options (highWaterMark, ...)
+   * @returns {Duplex} A Duplex stream
+   * 
+   * @example
+   * const serial = new File('/dev/ttyUSB0').createDuplex();
+   * serial.on('data', chunk => console.log('Received:', chunk.toString()));
+   * serial.write('AT\r\n');
+   */
+  createDuplex(options) {
+    return new FileDuplex(this.prepareRead(), this._createStreamWriteOperation(), options);
+  }
+
+  /**
+   * Returns a function creating and executing the WriteOperation
+   * of a stream, writing the chunks of the stream. The File signal
+   * listener is removed once the write operation settles.
+   * @returns {Function} (source: AsyncIterable, signal: AbortSignal) => WriteOperation
+   * @private
+   */
+  _createStreamWriteOperation() {
+    return (source, signal) => {
+      const combined = anySignal([this._options.signal, signal].filter(Boolean));
+      const operation = new WriteOperation(this._filePath, source, { ...this._options, signal: combined.signal },
+        this._stats, this._circuitBreaker);
+      operation.writeAsync().then(combined.release, combined.release);
+      return operation;
+    };
   }
 }
 
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import { KeepStreamingError } from './Errors.js';
+
+/**
+ * Kinds of files that can't be read or written as a stream.
+ */
+const unsupportedKinds = ['socket', 'directory'];
+
+/**
+ * Returns the kind of a file, from fs.stat. Symlinks are
+ * followed, e.g. /dev/serial/by-id/* is a character device.
+ * @param {string} filePath - The file path
+ * @returns {string|null} 'character-device', 'block-device', 'fifo', 'socket', 'directory', 'regular',
+ *                        or null if the file doesn't exist
+ */
+export function getFileKind(filePath) {
+  try {
+    return getKindOfStats(fs.statSync(filePath));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Resolves the kind of a file without blocking, like getFileKind.
+ * Operations resolve it once per attempt.
+ * @param {string} filePath - The file path
+ * @param {Function} callback - Function to call with the kind, null and the
+ *                              fs.stat error if the file doesn't exist (err: Error|null, kind: string|null) => void
+ */
+export function resolveFileKind(filePath, callback) {
+  fs.stat(filePath, (err, stats) => {
+    callback(err, err ? null : getKindOfStats(stats));
+  });
+}
+
+/**
+ * Creates the error of the operations on a kind of file
+ * that can't be streamed: sockets and directories.
+ * @param {string} filePath - The file path
+ * @param {string|null} kind - The kind of the file
+ * @returns {KeepStreamingError|null} The error, with the code 'ERR_UNSUPPORTED_FILE_KIND',
+ *                                    or null if the kind can be streamed
+ */
+export function createUnsupportedKindError(filePath, kind) {
+  if (!unsupportedKinds.includes(kind)) return null;
+  return new KeepStreamingError(`Can't read or write a ${kind}: ${filePath}`,
+    { code: 'ERR_UNSUPPORTED_FILE_KIND', path: filePath, phase: 'open' });
+}
+
+/**
+ * Returns the kind of a file from its fs.Stats.
+ * @param {fs.Stats} stats - The stats of the file
+ * @returns {string} The kind of the file
+ */
+function getKindOfStats(stats) {
+  if (stats.isCharacterDevice()) return 'character-device';
+  if (stats.isBlockDevice()) return 'block-device';
+  if (stats.isFIFO()) return 'fifo';
+  if (stats.isSocket()) return 'socket';
+  if (stats.isDirectory()) return 'directory';
+  return 'regular';
+}
+
+/**
+ * Checks if a path is a character or block device. A path that
+ * doesn't exist, e.g. an unplugged device, is a device if it is in /dev/.
+ * @param {string} filePath - The file path
+ * @param {string|null} [kind] - The kind of the file, if already resolved
+ * @returns {boolean} True if the path is a device
+ */
+export function isDeviceFile(filePath, kind = getFileKind(filePath)) {
+  if (kind === null) {
+    return filePath.startsWith('/dev/');
+  }
+  return kind === 'character-device' || kind === 'block-device';
+}
@@ -0,0 +1,283 @@
+import { Readable, Writable, Duplex } from 'stream';
+
+/**
+ * Node.js stream adapters for File.
+ * The readable side is backed by a ReadOperation,
+ * the writable side by a single WriteOperation, fed with the written chunks.
+ */
+
+/**
+ * Connects a ReadOperation to the readable side of a stream.
+ * Pauses the read operation when the stream buffer is full.
+ * @param {Readable|Duplex} stream - The stream to push data to
+ * @param {ReadOperation} readOperation - The read operation providing the data
+ */
+function attachReadOperation(stream, readOperation) {
+  readOperation
+    .onData((chunk) => {
+      if (!stream.push(chunk)) {
+        readOperation.pause();
+      }
+    })
+    .onFinish(() => {
+      if (!stream.destroyed) {
+        stream.push(null);
+      }
+    })
+    .onError((error) => {
+      stream.destroy(error);
+    });
+}
+
+/**
+ * Starts the read operation, or resumes it
+ * once the consumer asks for more data.
+ * @param {ReadOperation} readOperation - The read operation
+ */
+function readMore(readOperation) {
+  readOperation.resume();
+  readOperation.read();
+}
+
+/**
+ * Async iterable of the chunks written to the writable side of a stream,
+ * used as the data of the single WriteOperation of the stream.
+ * The callback of a chunk is called when the write operation
+ * asks for the next chunk, i.e. once the chunk is written.
+ */
+class ChunkSource {
+  constructor() {
+    this._chunks = [];
+    this._callback = null;
+    this._isEnded = false;
+    this._isClosed = false;
+    this._closeError = null;
+    this._wake = null;
+  }
+
+  /**
+   * Adds a chunk to write.
+   * @param {Buffer|string} chunk - The chunk
+   * @param {Function} callback - Called when the chunk is written (error: Error|null) => void
+   */
+  push(chunk, callback) {
+    if (this._isClosed) {
+      callback(this._closeError);
+      return;
+    }
+    this._chunks.push({ chunk, callback });
+    this._notify();
+  }
+
+  /**
+   * Ends the source once the queued chunks are written.
+   */
+  end() {
+    this._isEnded = true;
+    this._notify();
+  }
+
+  /**
+   * Closes the source when the write operation is over: the chunks
+   * not written yet, and the next ones, are called back with the error.
+   * @param {Error|null} error - The error of the write operation
+   * @returns {boolean} True if a chunk was waiting to be written
+   */
+  close(error) {
+    if (this._isClosed) return false;
+    this._isClosed = true;
+    this._closeError = error;
+    const callbacks = this._chunks.map(({ callback }) => callback);
+    if (this._callback) callbacks.unshift(this._callback);
+    this._chunks = [];
+    this._callback = null;
+    this._notify();
+    callbacks.forEach((callback) => callback(error));
+    return callbacks.length > 0;
+  }
+
+  /**
+   * Wakes up the iterator waiting for a chunk.
+   * @private
+   */
+  _notify() {
+    if (this._wake) {
+      const wake = this._wake;
+      this._wake = null;
+      wake();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      // the previous chunk is written.
+      if (this._callback) {
+        const callback = this._callback;
+        this._callback = null;
+        callback(null);
+      }
+      if (this._chunks.length > 0) {
+        const { chunk, callback } = this._chunks.shift();
+        this._callback = callback;
+        yield chunk;
+      } else if (this._isEnded || this._isClosed) {
+        return;
+      } else {
+        await new Promise((resolve) => { this._wake = resolve; });
+      }
+    }
+  }
+}
+
+/**
+ * Writes one chunk to the single WriteOperation of the stream,
+ * which is started with the first chunk and holds the write
+ * queue of the path until the stream is finished.
+ * @param {Writable|Duplex} stream - The stream being written
+ * @param {Buffer} chunk - The chunk to write
+ * @param {Function} callback - Called when the chunk is written
+ */
+function writeChunk(stream, chunk, callback) {
+  if (!stream._writePromise) {
+    const source = new ChunkSource();
+    const controller = new AbortController();
+    stream._chunkSource = source;
+    stream._writeController = controller;
+    stream._writePromise = stream._createWriteOperation(source, controller.signal).writeAsync();
+    stream._writePromise.then(() => source.close(null), (error) => {
+      // the errors of a finishing stream are reported by _final.
+      if (!source.close(error) && !stream._isFinishing && !stream.destroyed) {
+        stream.destroy(error);
+      }
+    });
+  }
+  stream._chunkSource.push(chunk, callback);
+}
+
+/**
+ * Finishes the WriteOperation of the stream
+ * once all the chunks are written.
+ * @param {Writable|Duplex} stream - The stream being finished
+ * @param {Function} callback - Called when the write operation finishes
+ */
+function finishWriting(stream, callback) {
+  if (!stream._writePromise) {
+    callback();
+    return;
+  }
+  stream._isFinishing = true;
+  stream._chunkSource.end();
+  stream._writePromise.then(() => callback(), callback);
+}
+
+/**
+ * Stops the WriteOperation of a destroyed stream,
+ * even while it is waiting in the write queue.
+ * @param {Writable|Duplex} stream - The stream being destroyed
+ * @param {Error|null} error - The error the stream is destroyed with
+ */
+function stopWriting(stream, error) {
+  if (stream._writeController) {
+    stream._writeController.abort(error || undefined);
+  }
+}
+
+/**
+ * Readable stream reading from a file,
+ * with the retry and reconnect logic of ReadOperation.
+ */
+export class FileReadable extends Readable {
+  /**
+   * Creates a new FileReadable.
+   * @param {ReadOperation} readOperation - The read operation providing the data
+   * @param {Object} [options] - Readable stream options
+   */
+  constructor(readOperation, options) {
+    super(options);
+    this._readOperation = readOperation;
+    attachReadOperation(this, readOperation);
+  }
+
+  _read() {
+    readMore(this._readOperation);
+  }
+
+  _destroy(error, callback) {
+    this._readOperation.finish();
+    callback(error);
+  }
+}
+
+/**
+ * Writable stream writing to a file with a single WriteOperation,
+ * which holds the write queue of the path until the stream is finished.
+ */
+export class FileWritable extends Writable {
+  /**
+   * Creates a new FileWritable.
+   * @param {Function} createWriteOperation - (source: AsyncIterable, signal: AbortSignal) => WriteOperation
+   * @param {Object} [options] - Writable stream options
+   */
+  constructor(createWriteOperation, options) {
+    super(options);
+    this._createWriteOperation = createWriteOperation;
+    this._chunkSource = null;
+    this._writeController = null;
+    this._writePromise = null;
+    this._isFinishing = false;
+  }
+
+  _write(chunk, encoding, callback) {
+    writeChunk(this, chunk, callback);
+  }
+
+  _final(callback) {
+    finishWriting(this, callback);
+  }
+
+  _destroy(error, callback) {
+    stopWriting(this, error);
+    callback(error);
+  }
+}
+
+/**
+ * Duplex stream reading from and writing to a file,
+ * e.g. a character device opened in read-write mode.
+ */
+export class FileDuplex extends Duplex {
+  /**
+   * Creates a new FileDuplex.
+   * @param {ReadOperation} readOperation - The read operation providing the data
+   * @param {Function} createWriteOperation - (source: AsyncIterable, signal: AbortSignal) => WriteOperation
+   * @param {Object} [options] - Duplex stream options
+   */
+  constructor(readOperation, createWriteOperation, options) {
+    super(options);
+    this._readOperation = readOperation;
+    this._createWriteOperation = createWriteOperation;
+    this._chunkSource = null;
+    this._writeController = null;
+    this._writePromise = null;
+    this._isFinishing = false;
+    attachReadOperation(this, readOperation);
+  }
+
+  _read() {
+    readMore(this._readOperation);
+  }
+
+  _write(chunk, encoding, callback) {
+    writeChunk(this, chunk, callback);
+  }
+
+  _final(callback) {
+    finishWriting(this, callback);
+  }
+
+  _destroy(error, callback) {
+    this._readOperation.finish();
+    stopWriting(this, error);
+    callback(error);
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Splits a byte stream into delimited frames.
+ * Keeps the incomplete tail between chunks, so frames
+ * survive chunk boundaries and stream reconnects.
+ */
+class FrameDecoder {
+  /**
+   * Creates a new FrameDecoder.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string|Buffer} [options.delimiter='\n'] - Frame delimiter.
+   * @param {boolean} [options.crlf=false] - When the delimiter is '\n', also accept '\r\n' and a lone '\r' as delimiters.
+   * @param {number} [options.maxFrameLength=0] - Maximum frame length in bytes. 0 to disable. Defaults to 0 (disabled).
+   * @param {string|null} [options.encoding='utf8'] - Encoding used to decode frames. null to emit Buffers.
+   */
+  constructor(options = {}) {
+    const delimiter = options.delimiter !== undefined ? options.delimiter : '\n';
+    this._delimiter = Buffer.isBuffer(delimiter) ? delimiter : Buffer.from(String(delimiter));
+    if (this._delimiter.length === 0) {
+      throw new Error('delimiter must not be empty.');
+    }
+    this._universalNewline = options.crlf === true && this._delimiter.equals(Buffer.from('\n'));
+    this._maxFrameLength = options.maxFrameLength !== undefined ? options.maxFrameLength : 0;
+    this._encoding = options.encoding !== undefined ? options.encoding : 'utf8';
+    this._pending = Buffer.alloc(0);
+    this._skipLineFeed = false;
+    this._discarding = false;
+  }
+
+  /**
+   * Maximum frame length in bytes, 0 if disabled.
+   * @returns {number} The configured maximum frame length.
+   */
+  get maxFrameLength() {
+    return this._maxFrameLength;
+  }
+
+  /**
+   * Number of bytes of the incomplete tail.
+   * @returns {number} Length of the incomplete frame in bytes.
+   */
+  get pendingLength() {
+    return this._pending.length;
+  }
+
+  /**
+   * Skips a '\n' starting the next chunk, as after a chunk ending
+   * with '\r', when the data before the next chunk was decoded by
+   * another decoder, e.g. before a read resumed from a checkpoint.
+   * Only applies when '\r' ends lines.
+   */
+  skipLineFeed() {
+    this._skipLineFeed = this._universalNewline;
+  }
+
+  /**
+   * Appends a chunk and returns the frames it completes.
+   * @param {Buffer|string} chunk - The data chunk.
+   * @returns {{frames: Array<string|Buffer>, overflow: boolean}} Completed frames, and whether
+   *   a frame was dropped for exceeding maxFrameLength.
+   */
+  push(chunk) {
+    let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    const frames = [];
+    let overflow = false;
+
+    // '\r' ended the previous chunk, skip the '\n' of a split '\r\n'.
+    if (this._skipLineFeed && data.length > 0) {
+      this._skipLineFeed = false;
+      if (data[0] === 0x0a) {
+        data = data.subarray(1);
+      }
+    }
+
+    const buffer = this._pending.length > 0 ? Buffer.concat([this._pending, data]) : data;
+    let start = 0;
+
+    while (start <= buffer.length) {
+      const match = this._findDelimiter(buffer, start);
+      if (!match) break;
+
+      const frame = buffer.subarray(start, match.index);
+      start = match.index + match.length;
+
+      if (match.skipLineFeed) {
+        if (start < buffer.length) {
+          if (buffer[start] === 0x0a) start++;
+        } else {
+          this._skipLineFeed = true;
+        }
+      }
+
+      if (this._discarding) {
+        // end of an oversized frame, drop it.
+        this._discarding = false;
+      } else if (this._maxFrameLength > 0 && frame.length > this._maxFrameLength) {
+        overflow = true;
+      } else {
+        frames.push(this._decode(frame));
+      }
+    }
+
+    this._pending = Buffer.from(buffer.subarray(start));
+
+    if (this._maxFrameLength > 0 && this._pending.length > this._maxFrameLength) {
+      // drop bytes until the next delimiter.
+      this._pending = Buffer.alloc(0);
+      if (!this._discarding) {
+        this._discarding = true;
+        overflow = true;
+      }
+    }
+
+    return { frames, overflow };
+  }
+
+  /**
+   * Returns the incomplete tail as a frame
+   * and empties the decoder.
+   * @returns {string|Buffer|null} The partial frame, or null if there is none.
+   */
+  flush() {
+    const pending = this._pending;
+    const discarding = this._discarding;
+    this.reset();
+    if (pending.length === 0 || discarding) {
+      return null;
+    }
+    return this._decode(pending);
+  }
+
+  /**
+   * Discards the incomplete tail.
+   */
+  reset() {
+    this._pending = Buffer.alloc(0);
+    this._skipLineFeed = false;
+    this._discarding = false;
+  }
+
+  /**
+   * Finds the next delimiter in a buffer.
+   * @param {Buffer} buffer - Buffer to search.
+   * @param {number} start - Offset to start searching from.
+   * @returns {{index: number, length: number, skipLineFeed: boolean}|null} The match, or null.
+   * @private
+   */
+  _findDelimiter(buffer, start) {
+    if (!this._universalNewline) {
+      const index = buffer.indexOf(this._delimiter, start);
+      return index === -1 ? null : { index, length: this._delimiter.length, skipLineFeed: false };
+    }
+
+    for (let i = start; i < buffer.length; i++) {
+      if (buffer[i] === 0x0a) {
+        return { index: i, length: 1, skipLineFeed: false };
+      }
+      if (buffer[i] === 0x0d) {
+        return { index: i, length: 1, skipLineFeed: true };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decodes a frame with the configured encoding.
+   * @param {Buffer} frame - Raw frame bytes.
+   * @returns {string|Buffer} The decoded frame.
+   * @private
+   */
+  _decode(frame) {
+    if (this._encoding === null || this._encoding === 'buffer') {
+      return Buffer.from(frame);
+    }
+    return frame.toString(this._encoding);
+  }
+}
+
+export default FrameDecoder;
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Watches the parent directory of a path with fs.watch
+ * to detect when the path appears or is removed,
+ * e.g. a USB device plugged in or unplugged.
+ */
+class HotplugWatcher {
+  /**
+   * Creates a new HotplugWatcher.
+   * @param {string} filePath - Path to watch.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {number} [options.interval=1000] - Interval in milliseconds between attempts to watch
+   *                                           the parent directory while it doesn't exist.
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._dirPath = path.dirname(filePath);
+    this._fileName = path.basename(filePath);
+    this._interval = options.interval !== undefined ? options.interval : 1000;
+    this._watcher = null;
+    this._timer = null;
+    this._isClosed = false;
+  }
+
+  /**
+   * Calls the callback once the path exists.
+   * @param {Function} callback - Function to call () => void
+   */
+  waitForFile(callback) {
+    this._watch(true, callback);
+  }
+
+  /**
+   * Calls the callback once the path doesn't exist anymore.
+   * @param {Function} callback - Function to call () => void
+   */
+  waitForRemoval(callback) {
+    this._watch(false, callback);
+  }
+
+  /**
+   * Stops watching.
+   */
+  close() {
+    this._isClosed = true;
+    this._closeWatcher();
+  }
+
+  /**
+   * Watches the parent directory and checks the path
+   * on every change of its entry.
+   * @param {boolean} shouldExist - Whether to wait for the path to exist or to be removed.
+   * @param {Function} callback - Function to call once the path is in the expected state.
+   * @private
+   */
+  _watch(shouldExist, callback) {
+    this._closeWatcher();
+    this._isClosed = false;
+
+    const check = () => {
+      fs.access(this._filePath, fs.constants.F_OK, (err) => {
+        const exists = !err;
+        if (this._isClosed || exists !== shouldExist) return;
+        this.close();
+        callback();
+      });
+    };
+
+    try {
+      this._watcher = fs.watch(this._dirPath, (eventType, fileName) => {
+        if (!fileName || fileName.toString() === this._fileName) {
+          check();
+        }
+      });
+      this._watcher.on('error', () => this._retry(shouldExist, callback));
+    } catch (err) {
+      // the parent directory doesn't exist yet, e.g. /dev/serial/by-id.
+      this._retry(shouldExist, callback);
+    }
+
+    // the path may have changed before the watch started.
+    check();
+  }
+
+  /**
+   * Retries to watch the parent directory after the interval.
+   * @param {boolean} shouldExist - Whether to wait for the path to exist or to be removed.
+   * @param {Function} callback - Function to call once the path is in the expected state.
+   * @private
+   */
+  _retry(shouldExist, callback) {
+    this._closeWatcher();
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (!this._isClosed) {
+        this._watch(shouldExist, callback);
+      }
+    }, this._interval);
+  }
+
+  /**
+   * Closes the fs.watch watcher and the retry timer.
+   * @private
+   */
+  _closeWatcher() {
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+export default HotplugWatcher;
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WriteTimeoutError } from './Errors.js';
+
+/**
+ * Returns the default lock file path of a file:
+ * a sidecar file, or a file in the temporary
+ * directory for the paths in /dev/. Only the
+ * path is used, the file may not exist yet.
+ * @param {string} filePath - The locked file path
+ * @returns {string} The lock file path
+ */
+export function getDefaultLockPath(filePath) {
+  if (filePath.startsWith('/dev/')) {
+    return path.join(os.tmpdir(), `keep-streaming${filePath.replace(/\//g, '_')}.lock`);
+  }
+  return `${filePath}.lock`;
+}
+
+/**
+ * Checks if a process is running on this host.
+ * @param {number} pid - The process id
+ * @returns {boolean} True if the process is running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Advisory inter-process lock based on a lock file
+ * created exclusively. Serializes writes to a path
+ * across processes. A lock held by a process that
+ * is not running anymore, or older than the stale
+ * timeout, is taken over. The holder refreshes the
+ * lock file, so a long write is not taken over.
+ */
+class ProcessLock {
+  /**
+   * Creates a new ProcessLock.
+   * @param {string} lockPath - Path of the lock file.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {number} [options.timeout=10000] - Maximum time in milliseconds to acquire the lock. 0 to wait indefinitely.
+   * @param {number} [options.staleTimeout=60000] - Age in milliseconds after which a lock is stale. The holder
+   *                                                refreshes the lock file every third of it.
+   * @param {number} [options.interval=50] - Interval in milliseconds between attempts to acquire the lock.
+   */
+  constructor(lockPath, options = {}) {
+    this._lockPath = lockPath;
+    this._timeout = options.timeout !== undefined ? options.timeout : 10000;
+    this._staleTimeout = options.staleTimeout !== undefined ? options.staleTimeout : 60000;
+    this._interval = options.interval !== undefined ? options.interval : 50;
+    this._token = `${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}`;
+    this._timer = null;
+    this._refreshTimer = null;
+    this._isHeld = false;
+    this._isCancelled = false;
+  }
+
+  /**
+   * Acquires the lock.
+   * @param {Function} callback - Function to call once acquired (error: Error|null) => void
+   */
+  acquire(callback) {
+    const startedAt = Date.now();
+    const content = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: this._token });
+
+    const attempt = () => {
+      if (this._isCancelled) return;
+
+      this._create(content, (err) => {
+        if (this._isCancelled) {
+          if (!err) this._unlinkIfOwned();
+          return;
+        }
+        if (!err) {
+          this._isHeld = true;
+          this._startRefreshing();
+          callback(null);
+        } else if (err.code === 'ENOENT') {
+          // the directory of a sidecar lock doesn't exist yet.
+          fs.mkdir(path.dirname(this._lockPath), { recursive: true }, (mkdirErr) => {
+            if (mkdirErr) {
+              callback(mkdirErr);
+            } else {
+              attempt();
+            }
+          });
+        } else if (err.code !== 'EEXIST') {
+          callback(err);
+        } else {
+          this._isStale((isStale, data) => {
+            if (this._isCancelled) return;
+            if (isStale) {
+              this._takeOver(data, attempt);
+            } else if (this._timeout > 0 && Date.now() - startedAt >= this._timeout) {
+              callback(new WriteTimeoutError(`Lock not acquired after ${this._timeout} ms: ${this._lockPath}`,
+                { path: this._lockPath, phase: 'lock' }));
+            } else {
+              this._timer = setTimeout(attempt, this._interval);
+            }
+          });
+        }
+      });
+    };
+
+    attempt();
+  }
+
+  /**
+   * Releases the lock, or cancels acquiring it.
+   */
+  release() {
+    this._isCancelled = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
+    if (this._isHeld) {
+      this._isHeld = false;
+      this._unlinkIfOwned();
+    }
+  }
+
+  /**
+   * Creates the lock file with its whole content at once: writes
+   * a temporary file and links it to the lock path, which fails
+   * with EEXIST if the lock is held.
+   * @param {string} content - Content of the lock file
+   * @param {Function} callback - Function to call when done (error: Error|null) => void
+   * @private
+   */
+  _create(content, callback) {
+    const tempPath = `${this._lockPath}.${this._token}.tmp`;
+    fs.writeFile(tempPath, content, (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      fs.link(tempPath, this._lockPath, (linkErr) => {
+        fs.unlink(tempPath, () => callback(linkErr));
+      });
+    });
+  }
+
+  /**
+   * Takes over a stale lock: moves the lock file away, and removes it
+   * if it is still the stale lock. A lock created or refreshed in the
+   * meantime is put back.
+   * @param {string|null} staleData - Content of the stale lock file
+   * @param {Function} callback - Function to call to try again () => void
+   * @private
+   */
+  _takeOver(staleData, callback) {
+    const claimPath = `${this._lockPath}.${this._token}.stale`;
+    fs.rename(this._lockPath, claimPath, (renameErr) => {
+      if (renameErr) {
+        // released or taken over in the meantime.
+        callback();
+        return;
+      }
+      this._readLock(claimPath, (readErr, data, stats) => {
+        if (!readErr && data === staleData && this._isStaleLock(data, stats)) {
+          fs.unlink(claimPath, () => callback());
+        } else {
+          fs.link(claimPath, this._lockPath, () => {
+            fs.unlink(claimPath, () => callback());
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Refreshes the modification time of the lock file
+   * while the lock is held, so it doesn't become stale.
+   * @private
+   */
+  _startRefreshing() {
+    if (this._staleTimeout <= 0) return;
+    this._refreshTimer = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this._lockPath, now, now, () => {});
+    }, this._staleTimeout / 3);
+    // a held lock doesn't keep the process alive.
+    this._refreshTimer.unref();
+  }
+
+  /**
+   * Checks if the existing lock is stale: its process
+   * is not running anymore, or it is older than the stale timeout.
+   * @param {Function} callback - Function to call with the result and the content
+   *                              of the lock file (isStale: boolean, data: string|null) => void
+   * @private
+   */
+  _isStale(callback) {
+    this._readLock(this._lockPath, (err, data, stats) => {
+      if (err) {
+        // released in the meantime.
+        callback(err.code === 'ENOENT', null);
+        return;
+      }
+      callback(this._isStaleLock(data, stats), data);
+    });
+  }
+
+  /**
+   * Reads the content and the statistics of a lock file.
+   * @param {string} lockPath - Path of the lock file
+   * @param {Function} callback - Function to call with the result (error: Error|null, data: string, stats: fs.Stats) => void
+   * @private
+   */
+  _readLock(lockPath, callback) {
+    fs.stat(lockPath, (statErr, stats) => {
+      if (statErr) {
+        callback(statErr);
+        return;
+      }
+      fs.readFile(lockPath, 'utf8', (readErr, data) => {
+        callback(readErr, data, stats);
+      });
+    });
+  }
+
+  /**
+   * Checks if a lock file is stale.
+   * @param {string} data - Content of the lock file
+   * @param {fs.Stats} stats - Statistics of the lock file
+   * @returns {boolean} True if the lock is stale
+   * @private
+   */
+  _isStaleLock(data, stats) {
+    if (this._staleTimeout > 0 && Date.now() - stats.mtimeMs > this._staleTimeout) {
+      return true;
+    }
+    let owner = null;
+    try {
+      owner = JSON.parse(data);
+    } catch (err) {
+      // not a lock of this library.
+    }
+    return owner !== null && owner.hostname === os.hostname() &&
+      Number.isInteger(owner.pid) && !isProcessAlive(owner.pid);
+  }
+
+  /**
+   * Removes the lock file if it is still owned by this lock.
+   * @private
+   */
+  _unlinkIfOwned() {
+    try {
+      const owner = JSON.parse(fs.readFileSync(this._lockPath, 'utf8'));
+      if (owner.token === this._token) {
+        fs.unlinkSync(this._lockPath);
+      }
+    } catch (err) {
+      // already removed, or taken over as stale.
+    }
+  }
+}
+
+export default ProcessLock;
@@ -1,6 +1,18 @@
 import fs from 'fs';
 import { createReadStream } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import FrameDecoder from './FrameDecoder.js';
+import { KeepStreamingError, AbortError, FileNotAvailableError, ReadTimeoutError, LimitExceededError } from './Errors.js';
+import HotplugWatcher from './HotplugWatcher.js';
+import { toRetryDecision, getRetryFileType } from './RetryDecision.js';
+import { resolveFileKind, isDeviceFile, createUnsupportedKindError } from './FileKind.js';
+import { acquireSharedReader } from './SharedReader.js';
 
+/**
+ * Number of chunks waiting in an async iterator
+ * above which reading is paused.
+ */
+const iteratorHighWaterMark = 16;
 
 /**
  * Chainable continuous read operation for files,
@@ -14,24 +26,107 @@ class ReadOperation {
    * @param {string} filePath - Path to the file, device, or FIFO to read from.
    * @param {Object} options - Configuration options.
    * @param {number} [options.readTimeout] - Optional read timeout in milliseconds. 0 to disable. Defaults to 0 (disabled).
+   * @param {number} [options.idleTimeout] - Optional time in milliseconds without data before the read is considered idle.
+   *                                         0 to disable. Defaults to 0 (disabled).
+   * @param {string} [options.idleAction] - Optional action when idle: 'report', 'reopen' or 'finish'. Defaults to 'report'.
    * @param {Function} [options.readFileExistsRetryStrategy] - Optional custom retry strategy for file existence checks.
    * @param {Function} [options.readFileRetryStrategy] - Optional custom retry strategy for read failures.
+   *                                                     Retry strategies return a delay or a RetryDecision.
+   * @param {boolean} [options.follow] - Optional, for regular files keep reading appended data after EOF. Defaults to false.
+   * @param {boolean} [options.fromEnd] - Optional, for regular files start reading at the end of the file. Defaults to false.
+   * @param {number} [options.followInterval] - Optional interval in milliseconds between checks for appended data. Defaults to 1000.
+   * @param {number} [options.start] - Optional, for regular files byte offset to start reading at. Defaults to 0.
+   * @param {number} [options.end] - Optional, for regular files byte offset to stop reading at (inclusive). Defaults to the end of the file.
+   * @param {string} [options.checkpointFile] - Optional path of a file storing the current offset,
+   *                                            to resume a later read operation where this one stopped.
+   * @param {number} [options.bufferLimit] - Optional, keep reading while paused and buffer up to bufferLimit bytes,
+   *                                         for devices that can't be paused. 0 to pause the stream instead. Defaults to 0.
+   * @param {string} [options.bufferPolicy] - Optional policy when the buffer is full: 'drop-oldest', 'drop-newest'
+   *                                          or 'error'. Defaults to 'error'.
+   * @param {boolean} [options.shared] - Optional, share one underlying reader per path with the other shared
+   *                                     read operations, each chunk is delivered to all of them. Defaults to false.
+   * @param {AbortSignal} [options.signal] - Optional signal to abort the read operation: stops reading, cancels
+   *                                        the pending retries and reports an AbortError.
+   * @param {boolean} [options.hotplug] - Optional, wait for the file with fs.watch on its parent directory instead of
+   *                                      readFileExistsRetryStrategy, and wait again when it is removed while reading.
+   *                                      Defaults to false.
+   * @param {number} [options.hotplugTimeout] - Optional maximum time in milliseconds to wait for the file with hotplug.
+   *                                            0 to wait indefinitely. Defaults to 0.
+   * @param {string} [options.encoding] - Optional encoding of the chunks passed to onData and the async iterator,
+   *                                      e.g. 'utf8'. Multi-byte characters split across chunks are kept whole,
+   *                                      an incomplete character is ended at EOF and when a FIFO writer disconnects.
+   *                                      Defaults to none (Buffers).
+   * @param {number} [options.highWaterMark] - Optional size in bytes of the chunks read from the stream. Defaults to 1024.
+   * @param {Object} [fileStats] - Optional statistics of the File, updated along with the operation statistics.
+   * @param {CircuitBreaker} [circuitBreaker] - Optional circuit breaker of the File: the read operation fails fast
+   *                                            while it is open, and reports its failures to it.
    */
-  constructor(filePath, options) {
+  constructor(filePath, options, fileStats, circuitBreaker) {
+    if (options.encoding && !Buffer.isEncoding(options.encoding)) {
+      throw new Error(`Unknown encoding: ${options.encoding}`);
+    }
     this._filePath = filePath;
     this._options = options;
+    this._fileStats = fileStats || null;
+    this._circuitBreaker = circuitBreaker || null;
+    this._circuitTicket = null;
+    this._stats = {
+      bytesRead: 0,
+      chunks: 0,
+      retries: { exists: 0, read: 0 },
+      reconnects: 0,
+      waitingTime: 0,
+      lastError: null
+    };
+    this._waitingSince = null;
+    this._retryStartedAt = null;
     this._dataCallback = null;
+    this._checkpointCallback = null;
+    this._pendingCheckpoint = null;
+    this._isSavingCheckpoint = false;
+    this._checkpointSavedCallbacks = [];
+    this._frameCallback = null;
+    this._frameDecoder = null;
+    // kept across reconnects, a character split between two streams stays whole.
+    this._stringDecoder = options.encoding ? new StringDecoder(options.encoding) : null;
+    this._partialFrame = 'flush';
+    this._isEmittingFrames = false;
     this._finishCallback = null;
     this._errorCallback = null;
+    this._idleCallback = null;
+    this._hooks = {};
+    this._idleTimer = null;
+    this._failActiveStream = null;
+    this._releaseActiveStream = null;
+    this._hasOpened = false;
+    this._iteratorListeners = new Set();
     this._activeStream = null;
     this._activeTimeouts = new Set();
     this._stopReading = false;
     this._isFinished = false;
+    this._isStarted = false;
+    this._hasFailed = false;
+    this._sharedReader = null;
+    this._abortListener = null;
+    this._hotplugWatcher = null;
+    this._isPaused = false;
+    this._fullIterators = 0;
+    this._pendingHandlers = 0;
+    this._bufferedChunks = [];
+    this._bufferedBytes = 0;
+    this._drainedCallback = null;
+    this._position = options.start !== undefined ? options.start : 0;
+    this._skipToEnd = options.fromEnd === true && options.start === undefined;
+    this._followIno = undefined;
+    this._followFd = null;
+    this._kind = null;
   }
 
   /**
    * Sets the callback
    * for handling data chunks.
+   * If the callback returns a Promise, reading
+   * is paused until the Promise settles.
    * @param {Function} callback - Function to call on each data chunk.
    * @returns {ReadOperation} ReadOperation for chaining.
    */
@@ -40,6 +135,53 @@ class ReadOperation {
     return this;
   }
 
+  /**
+   * Sets the callback for handling delimited frames.
+   * Frames are reassembled across chunk boundaries
+   * and stream reconnects.
+   * @param {Function} callback - Function to call on each frame.
+   * @param {Object} [options={}] - Framing options.
+   * @param {string|Buffer} [options.delimiter='\n'] - Frame delimiter.
+   * @param {boolean} [options.crlf=false] - When the delimiter is '\n', also accept '\r\n' and '\r' as delimiters.
+   * @param {number} [options.maxFrameLength=0] - Maximum frame length in bytes. 0 to disable. Defaults to 0 (disabled).
+   * @param {string|null} [options.encoding='utf8'] - Frame encoding. null to receive Buffers.
+   * @param {string} [options.partialFrame='flush'] - What to do with an incomplete frame on finish,
+   *                                                  EOF or FIFO writer disconnect: 'flush' or 'discard'.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onFrame(callback, options = {}) {
+    if (options.partialFrame !== undefined && options.partialFrame !== 'flush' && options.partialFrame !== 'discard') {
+      throw new Error(`partialFrame must be 'flush' or 'discard'.`);
+    }
+    this._frameCallback = callback;
+    this._frameDecoder = new FrameDecoder(options);
+    this._partialFrame = options.partialFrame || 'flush';
+    return this;
+  }
+
+  /**
+   * Sets the callback for handling lines.
+   * Accepts '\n', '\r\n' and '\r' line endings.
+   * @param {Function} callback - Function to call on each line.
+   * @param {Object} [options={}] - Framing options, see onFrame().
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onLine(callback, options = {}) {
+    return this.onFrame(callback, { crlf: true, ...options, delimiter: '\n' });
+  }
+
+  /**
+   * Sets the callback reporting the current offset,
+   * called after each data chunk is handled.
+   * @param {Function} callback - Function to call with the offset to resume reading at: the offset of the
+   *                              next byte to read, before the incomplete frame and character if any.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onCheckpoint(callback) {
+    this._checkpointCallback = callback;
+    return this;
+  }
+
   /**
    * Sets the callback for when reading
    * is finished.
@@ -51,6 +193,72 @@ class ReadOperation {
     return this;
   }
 
+  /**
+   * Sets the callback for when no data
+   * was received for idleTimeout milliseconds.
+   * @param {Function} callback - Function to call with the idle time in milliseconds.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onIdle(callback) {
+    this._idleCallback = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when a read stream is opened.
+   * @param {Function} callback - Function to call with the attempt number, and true if the file was opened before (reopen).
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onOpen(callback) {
+    this._hooks.open = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when the file doesn't
+   * exist yet and a new check is scheduled.
+   * @param {Function} callback - Function to call with the error, attempt number and delay in milliseconds.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onWaiting(callback) {
+    this._hooks.waiting = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when reading failed
+   * and a retry is scheduled.
+   * @param {Function} callback - Function to call with the error, attempt number and delay in milliseconds.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onRetry(callback) {
+    this._hooks.retry = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when a FIFO writer
+   * disconnected and reading restarts.
+   * @param {Function} callback - Function to call.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onReconnect(callback) {
+    this._hooks.reconnect = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when a read stream stops
+   * delivering data: EOF, FIFO writer disconnect,
+   * error or finish.
+   * @param {Function} callback - Function to call.
+   * @returns {ReadOperation} ReadOperation for chaining.
+   */
+  onClose(callback) {
+    this._hooks.close = callback;
+    return this;
+  }
+
   /**
    * Sets the error callback.
    * @param {Function} callback - Function to call on error.
@@ -66,34 +274,234 @@ class ReadOperation {
    * This should be called last in the chain.
    */
   read() {
-    this._execute();
+    if (!this._isStarted) {
+      this._isStarted = true;
+      this._execute();
+    }
+    return this;
+  }
+
+  /**
+   * Pauses the delivery of data chunks.
+   * The underlying stream is paused, or with the bufferLimit
+   * option, chunks are buffered until resume() is called.
+   * @returns {ReadOperation} ReadOperation for chaining
+   */
+  pause() {
+    this._isPaused = true;
+    this._updateFlow();
+    return this;
+  }
+
+  /**
+   * Resumes the delivery of data chunks,
+   * starting with the buffered ones.
+   * @returns {ReadOperation} ReadOperation for chaining
+   */
+  resume() {
+    this._isPaused = false;
+    this._drainBuffer();
+    this._updateFlow();
     return this;
   }
 
+  /**
+   * Whether the read operation stopped on an error it can't continue after,
+   * e.g. when the retry strategies give up.
+   * @returns {boolean} True if the read operation failed
+   */
+  get hasFailed() {
+    return this._hasFailed;
+  }
+
+  /**
+   * Whether the file is open for reading, through
+   * the shared reader for a shared read operation.
+   * @returns {boolean} True if the file is open
+   */
+  get isOpen() {
+    if (this._sharedReader) {
+      return this._sharedReader.isOpen;
+    }
+    return this._activeStream !== null && !this._activeStream.pending;
+  }
+
+  /**
+   * Returns the statistics of this read operation.
+   * @returns {Object} Statistics: bytesRead, chunks, retries ({ exists, read }), reconnects,
+   *                   waitingTime (milliseconds spent waiting for the file to exist) and lastError.
+   */
+  getStats() {
+    const waitingTime = this._stats.waitingTime +
+      (this._waitingSince !== null ? Date.now() - this._waitingSince : 0);
+    return {
+      ...this._stats,
+      retries: { ...this._stats.retries },
+      waitingTime
+    };
+  }
+
+  /**
+   * Iterates over the data chunks with for await...of.
+   * Starts reading if read() was not called yet.
+   * Leaving the loop early finishes the read operation.
+   * Reading is paused while iteratorHighWaterMark chunks wait
+   * for the loop. An error the read operation can't continue
+   * after is thrown from the loop, other errors only go to onError.
+   * @returns {AsyncIterator<Buffer>} Async iterator over the data chunks.
+   */
+  [Symbol.asyncIterator]() {
+    const chunks = [];
+    const waiting = [];
+    let isDone = false;
+    let isFull = false;
+    let failure = null;
+
+    const setFull = (full) => {
+      if (full === isFull) return;
+      isFull = full;
+      this._fullIterators += full ? 1 : -1;
+      if (!full) {
+        this._drainBuffer();
+      }
+      this._updateFlow();
+    };
+
+    const listener = {
+      data: (chunk) => {
+        if (waiting.length > 0) {
+          waiting.shift().resolve({ value: chunk, done: false });
+        } else {
+          chunks.push(chunk);
+          if (chunks.length >= iteratorHighWaterMark) {
+            setFull(true);
+          }
+        }
+      },
+      end: () => {
+        isDone = true;
+        this._iteratorListeners.delete(listener);
+        setFull(false);
+        while (waiting.length > 0) {
+          waiting.shift().resolve({ value: undefined, done: true });
+        }
+      },
+      error: (error) => {
+        isDone = true;
+        this._iteratorListeners.delete(listener);
+        setFull(false);
+        if (waiting.length > 0) {
+          waiting.shift().reject(error);
+        } else {
+          failure = error;
+        }
+        while (waiting.length > 0) {
+          waiting.shift().resolve({ value: undefined, done: true });
+        }
+        this.finish();
+      }
+    };
+
+    this._iteratorListeners.add(listener);
+    this.read();
+
+    return {
+      next: () => {
+        if (chunks.length > 0) {
+          const chunk = chunks.shift();
+          if (chunks.length < iteratorHighWaterMark) {
+            setFull(false);
+          }
+          return Promise.resolve({ value: chunk, done: false });
+        }
+        if (failure) {
+          const error = failure;
+          failure = null;
+          return Promise.reject(error);
+        }
+        if (isDone) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        isDone = true;
+        chunks.length = 0;
+        this._iteratorListeners.delete(listener);
+        setFull(false);
+        this.finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
   /**
    * Stops the read operation
    * and cleans up all resources.
    * @returns {ReadOperation} ReadOperation for chaining
    */
   finish() {
+    if (this._stop()) {
+      this._notifyFinish();
+    }
+    return this;
+  }
 
-    if (!this._stopReading && !this._isFinished) {
-      this._stopReading = true;
-      this._isFinished = true;
-      
-      if (this._activeStream) {
-        this._activeStream.destroy();
+  /**
+   * Stops reading and cleans up all resources.
+   * @returns {boolean} True if the read operation was running
+   * @private
+   */
+  _stop() {
+    if (this._stopReading || this._isFinished) return false;
+    this._stopReading = true;
+    this._isFinished = true;
+    this._settleCircuit(null);
 
-        if (this._isFIFO()) {
-          fs.writeFileSync(this._filePath, '');
-        }
-      }
+    if (this._activeStream) {
+      this._releaseActiveStream();
 
-      this._activeStream = null;
-      if (this._finishCallback) {
-        this._finishCallback();
+      if (this._kind === 'fifo') {
+        this._unblockFIFO();
       }
     }
+
+    this._activeStream = null;
+    this._closeFollowFd();
+    this._closeHotplugWatcher();
+    for (const timeoutId of this._activeTimeouts) {
+      clearTimeout(timeoutId);
+    }
+    this._activeTimeouts.clear();
+    if (this._sharedReader) {
+      this._sharedReader.unsubscribe(this);
+      this._sharedReader = null;
+    }
+    if (this._abortListener) {
+      this._options.signal.removeEventListener('abort', this._abortListener);
+      this._abortListener = null;
+    }
+    this._bufferedChunks = [];
+    this._bufferedBytes = 0;
+    this._drainedCallback = null;
+    if (!this._isEmittingFrames) {
+      this._endPartialFrame(() => {}, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Stops reading and reports an AbortError
+   * when the signal is aborted.
+   * @private
+   */
+  _abort() {
+    if (this._stop()) {
+      this._fail(new AbortError(this._options.signal.reason, { path: this._filePath }));
+    }
   }
 
   /**
@@ -102,7 +510,186 @@ class ReadOperation {
    */
   _execute() {
     if (this._stopReading) return;
-    this._waitForFileAndRead(1);
+    const signal = this._options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this._abort();
+        return;
+      }
+      this._abortListener = () => this._abort();
+      signal.addEventListener('abort', this._abortListener, { once: true });
+    }
+    if (this._circuitBreaker) {
+      this._circuitTicket = this._circuitBreaker.allow();
+      if (!this._circuitTicket) {
+        this._stop();
+        this._fail(this._circuitBreaker.createOpenError());
+        return;
+      }
+    }
+    if (this._options.shared) {
+      try {
+        this._sharedReader = acquireSharedReader(this._filePath, this._options, () => {
+          // the underlying read is aborted when its last subscriber leaves,
+          // and paused while one of them is paused.
+          return new ReadOperation(this._filePath,
+            { ...this._options, shared: false, signal: undefined, encoding: undefined, bufferLimit: 0 }, this._fileStats);
+        });
+      } catch (error) {
+        this._stop();
+        this._fail(error);
+        return;
+      }
+      this._sharedReader.subscribe(this);
+      this._updateFlow();
+      this._armIdleTimer();
+    } else if (this._options.checkpointFile) {
+      this._loadCheckpoint(() => this._waitForFileAndRead(1));
+    } else {
+      this._waitForFileAndRead(1);
+    }
+  }
+
+  /**
+   * Loads the offset stored in the checkpoint file, if any.
+   * A checkpoint file that can't be read or holds no offset
+   * stops the read operation, instead of reading from the start.
+   * @param {Function} callback - Function to call once loaded
+   * @private
+   */
+  _loadCheckpoint(callback) {
+    const checkpointFile = this._options.checkpointFile;
+    fs.readFile(checkpointFile, 'utf8', (err, data) => {
+      if (this._stopReading) return;
+      if (err && err.code === 'ENOENT') {
+        callback();
+        return;
+      }
+      const content = err ? '' : data.trim();
+      const offset = Number(content);
+      if (!/^\d+$/.test(content) || !Number.isSafeInteger(offset)) {
+        this._stop();
+        this._fail(new KeepStreamingError(`Invalid checkpoint file: ${checkpointFile}`,
+          { code: 'ERR_INVALID_CHECKPOINT', path: checkpointFile, cause: err || undefined }));
+        return;
+      }
+      this._position = offset;
+      this._skipToEnd = false;
+      this._resumeLineBreak(callback);
+    });
+  }
+
+  /**
+   * A checkpoint saved after a '\r' ending a line resumes
+   * before the possible '\n' of a '\r\n' line break: the
+   * frame decoder skips it, so it doesn't end an empty line.
+   * @param {Function} callback - Function to call once checked () => void
+   * @private
+   */
+  _resumeLineBreak(callback) {
+    if (!this._frameDecoder || this._position === 0) {
+      callback();
+      return;
+    }
+    fs.open(this._filePath, 'r', (err, fd) => {
+      if (err) {
+        // not created yet, read from the checkpoint anyway.
+        if (!this._stopReading) callback();
+        return;
+      }
+      const byte = Buffer.alloc(1);
+      fs.read(fd, byte, 0, 1, this._position - 1, (readErr, bytesRead) => {
+        fs.close(fd, () => {});
+        if (this._stopReading) return;
+        if (!readErr && bytesRead === 1 && byte[0] === 0x0d) {
+          this._frameDecoder.skipLineFeed();
+        }
+        callback();
+      });
+    });
+  }
+
+  /**
+   * Reports the offset of a handled chunk
+   * and stores it in the checkpoint file.
+   * @param {number} offset - Offset to resume reading at
+   * @private
+   */
+  _saveCheckpoint(offset) {
+    // a shared reader stores the checkpoint of its underlying read.
+    if (this._options.checkpointFile && !this._sharedReader) {
+      this._pendingCheckpoint = offset;
+      this._writeCheckpoint();
+    }
+
+    if (this._checkpointCallback) {
+      this._checkpointCallback(offset);
+    }
+  }
+
+  /**
+   * Writes the latest offset to the checkpoint file, without
+   * blocking the event loop. One write runs at a time, the
+   * offsets of the chunks handled meanwhile are coalesced
+   * into the next write. The file is replaced by renaming
+   * a temporary file, so it never holds a partial offset.
+   * @private
+   */
+  _writeCheckpoint() {
+    if (this._isSavingCheckpoint) return;
+    if (this._pendingCheckpoint === null) {
+      const callbacks = this._checkpointSavedCallbacks;
+      this._checkpointSavedCallbacks = [];
+      callbacks.forEach((callback) => callback());
+      return;
+    }
+
+    const offset = this._pendingCheckpoint;
+    this._pendingCheckpoint = null;
+    this._isSavingCheckpoint = true;
+    const checkpointFile = this._options.checkpointFile;
+    const tempPath = `${checkpointFile}.${process.pid}.tmp`;
+    const handleSaved = (err) => {
+      this._isSavingCheckpoint = false;
+      if (err) {
+        this._handleError(err);
+      }
+      this._writeCheckpoint();
+    };
+    fs.writeFile(tempPath, String(offset), (err) => {
+      if (err) {
+        handleSaved(err);
+      } else {
+        fs.rename(tempPath, checkpointFile, handleSaved);
+      }
+    });
+  }
+
+  /**
+   * Calls the callback once the latest offset is
+   * stored in the checkpoint file, right away if
+   * no write is pending.
+   * @param {Function} callback - Function to call () => void
+   * @private
+   */
+  _whenCheckpointSaved(callback) {
+    if (!this._isSavingCheckpoint && this._pendingCheckpoint === null) {
+      callback();
+    } else {
+      this._checkpointSavedCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * Returns the number of bytes read but not delivered yet:
+   * the incomplete frame, or the start of a split character.
+   * @returns {number} Number of bytes
+   * @private
+   */
+  _getUndeliveredLength() {
+    const frameLength = this._frameDecoder ? this._frameDecoder.pendingLength : 0;
+    const characterLength = this._stringDecoder ? this._stringDecoder.lastTotal - this._stringDecoder.lastNeed : 0;
+    return Math.max(frameLength, characterLength);
   }
 
   /**
@@ -135,18 +722,34 @@ class ReadOperation {
     
     fs.access(this._filePath, fs.constants.F_OK, (err) => {
       if (this._stopReading) return;
-      
       if (err) {
+        // the retry context describes the missing file.
+        this._kind = null;
+      }
+      
+      if (err && this._options.hotplug) {
+        this._waitForHotplug(err, attempt);
+      } else if (err) {
         try {
-          const delay = this._options.readFileExistsRetryStrategy(err, attempt, this._filePath);
-          if (typeof delay === 'number') {
-            this._setTimeout(() => this._waitForFileAndRead(attempt + 1), delay);
-          } else {
-            this._setTimeout(() => this._waitForFileAndRead(attempt + 1), 1);
+          const decision = this._decideRetry(this._options.readFileExistsRetryStrategy, err, attempt, 'exists');
+          if (decision.action === 'skip' || decision.action === 'finish') {
+            this.finish();
+            return;
           }
+          this._emitHook('waiting', err, attempt, decision.delay);
+          const nextAttempt = decision.action === 'reopen' ? 1 : attempt + 1;
+          this._setTimeout(() => this._waitForFileAndRead(nextAttempt), decision.delay);
         } catch (error) {
-          this._handleError(error);
+          this._fail(error);
         }
+      } else if (this._skipToEnd) {
+        this._skipToEnd = false;
+        fs.stat(this._filePath, (statErr, stats) => {
+          if (!statErr && stats.isFile()) {
+            this._position = stats.size;
+          }
+          this._performRead(1);
+        });
       } else {
         this._performRead(1);
       }
@@ -154,22 +757,93 @@ class ReadOperation {
   }
 
   /**
-   * Performs the actual read operation with retry logic.
+   * Resolves the kind of the file, once per attempt, and then
+   * reads. Sockets and directories fail without going through
+   * the retry strategy.
    * @param {number} attempt - Current attempt number
    * @private
    */
   _performRead(attempt) {
     if (this._stopReading) return;
+
+    resolveFileKind(this._filePath, (err, kind) => {
+      if (this._stopReading) return;
+      this._kind = kind;
+      const kindError = createUnsupportedKindError(this._filePath, kind);
+      if (kindError) {
+        this._stop();
+        this._fail(kindError);
+      } else {
+        this._startRead(attempt);
+      }
+    });
+  }
+
+  /**
+   * Opens the read stream and reads, with retry logic.
+   * @param {number} attempt - Current attempt number
+   * @private
+   */
+  _startRead(attempt) {
+    if (this._isPastEnd() && this._kind !== 'fifo') {
+      // nothing left to read in the range.
+      this._notifyFinish();
+      return;
+    }
     
     try {
       const readStream = this._createReadStream();
       this._activeStream = readStream;
       let hasReceivedData = false;
-      const isFIFO = this._isFIFO();
+      const isFIFO = this._kind === 'fifo';
       
       const internalFinish = () => {
         this.finish();
       };
+
+      let isReleased = false;
+      const releaseStream = (shouldDestroy = true) => {
+        if (isReleased) return;
+        isReleased = true;
+        if (this._activeStream === readStream) {
+          this._activeStream = null;
+          this._closeHotplugWatcher();
+        }
+        if (shouldDestroy) {
+          // destroying the stream closes the followed file.
+          if (readStream.fd === this._followFd) {
+            this._followFd = null;
+          }
+          readStream.destroy();
+          if (readStream.pending && isFIFO) {
+            // destroy() doesn't stop the open waiting for a writer,
+            // which would keep a thread of the libuv pool blocked.
+            this._unblockFIFO();
+          }
+        }
+        this._emitHook('close');
+      };
+      this._releaseActiveStream = releaseStream;
+
+      readStream.on('open', (fd) => {
+        const isReopen = this._hasOpened;
+        this._hasOpened = true;
+        if (this._options.follow && !isFIFO) {
+          fs.fstat(fd, (err, stats) => {
+            if (!err) this._followIno = stats.ino;
+          });
+        }
+        this._emitHook('open', attempt, isReopen);
+        if (this._options.hotplug && this._activeStream === readStream) {
+          this._watchRemoval();
+        }
+      });
+
+      // a followed file read again from its open
+      // file descriptor has no 'open' event.
+      if (readStream.fd !== null && this._options.hotplug) {
+        this._watchRemoval();
+      }
       
       readStream.on('data', (chunk) => {
         if (this._stopReading) return;
@@ -179,11 +853,14 @@ class ReadOperation {
         if (!hasReceivedData) {
           hasReceivedData = true;
           attempt = 1;
+          this._retryStartedAt = null;
         }
-        
-        if (this._dataCallback && !this._stopReading) {
-          this._dataCallback(chunk, internalFinish, attempt);
-        }
+
+        this._position += chunk.length;
+        this._countChunk(chunk);
+        this._armIdleTimer();
+
+        this._receiveChunk({ chunk, offset: this._position, internalFinish, attempt });
       });
 
       // For FIFOs, handle 'end' even
@@ -191,62 +868,550 @@ class ReadOperation {
       if (isFIFO) {
         readStream.on('end', () => {
           if (!this._stopReading) {
-            this._activeStream = null;
-            // fifo writer disconnected,
-            // restart reading to wait for next writer.
-            this._setTimeout(() => this._performRead(attempt), 50);
+            releaseStream();
+            this._whenDrained(() => {
+              // the next writer starts new frames and characters.
+              this._endPartialFrame(internalFinish, attempt);
+              this._endStringDecoder(internalFinish, attempt);
+              if (this._stopReading) return;
+              // fifo writer disconnected,
+              // restart reading to wait for next writer.
+              this._emitHook('reconnect');
+              this._setTimeout(() => this._performRead(attempt), 50);
+            });
           }
         });
       } else {
         // For non-FIFOs, keep reading until EOF.
         readStream.on('end', () => {
           if (!this._stopReading) {
-            this._activeStream = null;
-            if (this._finishCallback) {
-              this._finishCallback();
+            if (this._options.follow && !this._isPastEnd()) {
+              // keep the partial frame, appended data may complete it,
+              // and the file open, data may still be appended after a rotation.
+              releaseStream(false);
+              this._followFd = readStream.fd;
+              this._setTimeout(() => this._followFile(attempt, internalFinish), this._getFollowInterval());
+              return;
             }
+            releaseStream(false);
+            this._whenDrained(() => {
+              const hasUndelivered = this._getUndeliveredLength() > 0;
+              this._endPartialFrame(internalFinish, attempt);
+              this._endStringDecoder(internalFinish, attempt);
+              if (this._stopReading) return;
+              if (hasUndelivered) {
+                // the incomplete frame and character are handled now.
+                this._saveCheckpoint(this._position);
+              }
+              this._notifyFinish();
+            });
           }
         });
       }
 
-      readStream.on('error', (error) => {
-        if (this._stopReading) return;
+      let hasFailed = false;
+      const handleStreamError = (error) => {
+        if (this._stopReading || hasFailed) return;
+        hasFailed = true;
         
-        this._activeStream = null;
+        releaseStream();
         
         try {
-          const delay = this._options.readFileRetryStrategy(error, attempt, this._filePath);
-          if (typeof delay === 'number') {
-            this._setTimeout(() => this._performRead(attempt + 1), delay);
+          const decision = this._decideRetry(this._options.readFileRetryStrategy, error, attempt, 'read');
+          if (decision.action === 'skip' || decision.action === 'finish') {
+            this.finish();
+            return;
+          }
+          this._emitHook('retry', error, attempt, decision.delay);
+          if (decision.action === 'reopen') {
+            this._setTimeout(() => this._waitForFileAndRead(1), decision.delay);
           } else {
-            this._performRead(attempt + 1);
+            this._setTimeout(() => this._performRead(attempt + 1), decision.delay);
           }
         } catch (err) {
-          this._handleError(err);
+          this._fail(err);
         }
-      });
+      };
 
-      readStream.on('close', () => {
-        if (this._activeStream === readStream) {
-          this._activeStream = null;
-        }
-      });
+      readStream.on('error', handleStreamError);
+      this._failActiveStream = handleStreamError;
+
+      // keep the pause across reconnects.
+      if (this._shouldPauseStream()) {
+        readStream.pause();
+      }
+
+      if (!this._idleTimer) {
+        this._armIdleTimer();
+      }
       
     } catch (error) {
-      this._handleError(error);
+      this._fail(error);
     }
   }
 
   /**
-   * Creates a read stream with appropriate flags
-   * for continuous reading and timeout protection.
-   * @returns {fs.ReadStream} The configured read stream
+   * Calls a retry strategy with the retry context
+   * and converts its result to a decision.
+   * @param {Function} strategy - The retry strategy
+   * @param {Error} error - The error of the failed attempt
+   * @param {number} attempt - Current attempt number
+   * @param {string} phase - Failed phase: 'exists' or 'read'
+   * @returns {Object} The decision: { action, delay }
+   * @throws {Error} When the strategy gives up
    * @private
    */
-  _createReadStream() {
-    const filePath = this._filePath;
-    const isDeviceFile = filePath.startsWith('/dev/');
-    
+  _decideRetry(strategy, error, attempt, phase) {
+    if (this._retryStartedAt === null) {
+      this._retryStartedAt = Date.now();
+    }
+    const context = {
+      operation: 'read',
+      phase,
+      filePath: this._filePath,
+      fileType: getRetryFileType(this._filePath, this._kind),
+      kind: this._kind,
+      elapsed: Date.now() - this._retryStartedAt,
+      bytesTransferred: this._stats.bytesRead
+    };
+    return toRetryDecision(strategy(error, attempt, this._filePath, context));
+  }
+
+  /**
+   * Waits for the file to appear with fs.watch,
+   * up to the hotplugTimeout option.
+   * @param {Error} error - The error of the file existence check
+   * @param {number} attempt - Current attempt number
+   * @private
+   */
+  _waitForHotplug(error, attempt) {
+    const hotplugTimeout = this._options.hotplugTimeout !== undefined ? this._options.hotplugTimeout : 0;
+    this._emitHook('waiting', error, attempt, hotplugTimeout > 0 ? hotplugTimeout : Infinity);
+
+    let timeoutId = null;
+    if (hotplugTimeout > 0) {
+      timeoutId = this._setTimeout(() => {
+        this._closeHotplugWatcher();
+        this._fail(new FileNotAvailableError(`File not found after waiting ${hotplugTimeout} ms: ${this._filePath}`,
+          { path: this._filePath, attempts: attempt, cause: error }));
+      }, hotplugTimeout);
+    }
+
+    this._hotplugWatcher = new HotplugWatcher(this._filePath);
+    this._hotplugWatcher.waitForFile(() => {
+      this._hotplugWatcher = null;
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+        this._activeTimeouts.delete(timeoutId);
+      }
+      this._waitForFileAndRead(attempt + 1);
+    });
+  }
+
+  /**
+   * Waits again for the file when it is
+   * removed while reading, e.g. a device unplugged.
+   * @private
+   */
+  _watchRemoval() {
+    this._closeHotplugWatcher();
+    this._hotplugWatcher = new HotplugWatcher(this._filePath);
+    this._hotplugWatcher.waitForRemoval(() => {
+      this._hotplugWatcher = null;
+      if (this._stopReading || !this._activeStream) return;
+      this._releaseActiveStream();
+      this._waitForReplug();
+    });
+  }
+
+  /**
+   * Waits for a removed file to be created again,
+   * and reads it from the start.
+   * @private
+   */
+  _waitForReplug() {
+    this._position = 0;
+    this._followIno = undefined;
+    this._closeFollowFd();
+    this._waitForFileAndRead(1);
+  }
+
+  /**
+   * Stops watching the file.
+   * @private
+   */
+  _closeHotplugWatcher() {
+    if (this._hotplugWatcher) {
+      this._hotplugWatcher.close();
+      this._hotplugWatcher = null;
+    }
+  }
+
+  /**
+   * (Re)starts the inactivity watchdog.
+   * @private
+   */
+  _armIdleTimer() {
+    const idleTimeout = this._options.idleTimeout !== undefined ? this._options.idleTimeout : 0;
+    if (idleTimeout <= 0 || this._stopReading) return;
+
+    this._clearIdleTimer();
+    this._idleTimer = setTimeout(() => {
+      this._idleTimer = null;
+      if (this._stopReading) return;
+      this._handleIdle(idleTimeout);
+    }, idleTimeout);
+  }
+
+  /**
+   * Stops the inactivity watchdog.
+   * @private
+   */
+  _clearIdleTimer() {
+    if (this._idleTimer) {
+      clearTimeout(this._idleTimer);
+      this._idleTimer = null;
+    }
+  }
+
+  /**
+   * Reports the stall and applies the idleAction option.
+   * @param {number} idleTime - Time in milliseconds without data
+   * @private
+   */
+  _handleIdle(idleTime) {
+    if (this._idleCallback) {
+      this._idleCallback(idleTime);
+      if (this._stopReading) return;
+    }
+
+    const action = this._options.idleAction || 'report';
+    if (action === 'finish') {
+      this.finish();
+      return;
+    }
+
+    if (action === 'reopen' && this._activeStream) {
+      // goes through readFileRetryStrategy.
+      this._failActiveStream(new ReadTimeoutError(`${this._filePath} idle for ${idleTime}ms`,
+        { path: this._filePath, phase: 'idle' }));
+    }
+    this._armIdleTimer();
+  }
+
+  /**
+   * Delivers a chunk, or buffers it while
+   * paused or while a data handler is pending.
+   * @param {Object} entry - The chunk with its offset, finish function and attempt number
+   * @private
+   */
+  _receiveChunk(entry) {
+    if (!this._isDeliveryPaused() && this._pendingHandlers === 0 && this._bufferedChunks.length === 0) {
+      this._deliverChunk(entry);
+      return;
+    }
+
+    const bufferLimit = this._getBufferLimit();
+    if (bufferLimit > 0 && this._bufferedBytes + entry.chunk.length > bufferLimit) {
+      const policy = this._options.bufferPolicy || 'error';
+      if (policy === 'drop-newest') {
+        return;
+      }
+      if (policy === 'drop-oldest') {
+        while (this._bufferedChunks.length > 0 && this._bufferedBytes + entry.chunk.length > bufferLimit) {
+          this._bufferedBytes -= this._bufferedChunks.shift().chunk.length;
+        }
+      } else {
+        this._handleError(new LimitExceededError(`Read buffer limit of ${bufferLimit} bytes exceeded: ${this._filePath}`,
+          { code: 'ERR_BUFFER_LIMIT', path: this._filePath }));
+        this.finish();
+        return;
+      }
+    }
+
+    this._bufferedChunks.push(entry);
+    this._bufferedBytes += entry.chunk.length;
+  }
+
+  /**
+   * Delivers a chunk to the data callback, the async iterators
+   * and the frame decoder. A Promise returned by the data
+   * callback holds the next chunks until it settles.
+   * @param {Object} entry - The chunk with its offset, finish function and attempt number
+   * @private
+   */
+  _deliverChunk({ chunk, offset, internalFinish, attempt }) {
+    // a decoded chunk is empty when it only holds the start of a character.
+    const data = this._stringDecoder ? this._stringDecoder.write(chunk) : chunk;
+
+    let result;
+    if (this._dataCallback && !this._stopReading && data.length > 0) {
+      result = this._dataCallback(data, internalFinish, attempt, offset);
+    }
+
+    if (data.length > 0) {
+      for (const listener of this._iteratorListeners) {
+        listener.data(data);
+      }
+    }
+
+    if (this._frameDecoder && !this._stopReading) {
+      this._emitFrames(chunk, internalFinish, attempt);
+    }
+
+    const checkpoint = offset - this._getUndeliveredLength();
+    if (result && typeof result.then === 'function') {
+      this._pendingHandlers++;
+      this._updateFlow();
+      Promise.resolve(result)
+        .then(() => {
+          this._saveCheckpoint(checkpoint);
+        }, (error) => {
+          this._handleError(error);
+        })
+        .then(() => {
+          this._pendingHandlers--;
+          this._drainBuffer();
+          this._updateFlow();
+        });
+    } else {
+      this._saveCheckpoint(checkpoint);
+    }
+  }
+
+  /**
+   * Delivers the end of the decoded data at EOF,
+   * e.g. the last bytes of a base64 stream.
+   * @param {Function} internalFinish - Function to finish the read operation
+   * @param {number} attempt - Current attempt number
+   * @private
+   */
+  _endStringDecoder(internalFinish, attempt) {
+    if (!this._stringDecoder) return;
+    const data = this._stringDecoder.end();
+    if (data.length === 0 || this._stopReading) return;
+
+    if (this._dataCallback) {
+      this._dataCallback(data, internalFinish, attempt, this._position);
+    }
+    for (const listener of this._iteratorListeners) {
+      listener.data(data);
+    }
+  }
+
+  /**
+   * Delivers the buffered chunks while
+   * not paused and no data handler is pending.
+   * @private
+   */
+  _drainBuffer() {
+    while (!this._stopReading && !this._isDeliveryPaused() && this._pendingHandlers === 0 && this._bufferedChunks.length > 0) {
+      const entry = this._bufferedChunks.shift();
+      this._bufferedBytes -= entry.chunk.length;
+      this._deliverChunk(entry);
+    }
+
+    if (this._drainedCallback && this._pendingHandlers === 0 && this._bufferedChunks.length === 0) {
+      const callback = this._drainedCallback;
+      this._drainedCallback = null;
+      callback();
+    }
+  }
+
+  /**
+   * Calls the callback once every received chunk has been handled.
+   * @param {Function} callback - Function to call
+   * @private
+   */
+  _whenDrained(callback) {
+    if (this._pendingHandlers === 0 && this._bufferedChunks.length === 0) {
+      callback();
+    } else {
+      this._drainedCallback = callback;
+    }
+  }
+
+  /**
+   * Pauses or resumes the underlying stream
+   * according to the current flow state.
+   * @private
+   */
+  _updateFlow() {
+    if (this._sharedReader) {
+      this._sharedReader.setPaused(this, this._shouldPauseStream());
+      return;
+    }
+    if (!this._activeStream) return;
+    if (this._shouldPauseStream()) {
+      this._activeStream.pause();
+    } else {
+      this._activeStream.resume();
+    }
+  }
+
+  /**
+   * Checks if the underlying stream should be paused.
+   * With the bufferLimit option the stream is never paused.
+   * @returns {boolean} True if the stream should be paused
+   * @private
+   */
+  _shouldPauseStream() {
+    return this._getBufferLimit() === 0 && (this._isDeliveryPaused() || this._pendingHandlers > 0);
+  }
+
+  /**
+   * Checks if the delivery of chunks is paused: by pause(),
+   * or by an async iterator holding too many chunks.
+   * @returns {boolean} True if the delivery is paused
+   * @private
+   */
+  _isDeliveryPaused() {
+    return this._isPaused || this._fullIterators > 0;
+  }
+
+  /**
+   * Returns the bufferLimit option.
+   * @returns {number} Buffer limit in bytes, 0 if disabled
+   * @private
+   */
+  _getBufferLimit() {
+    return this._options.bufferLimit !== undefined ? this._options.bufferLimit : 0;
+  }
+
+  /**
+   * Feeds a chunk to the frame decoder and
+   * emits every completed frame.
+   * @param {Buffer} chunk - The data chunk
+   * @param {Function} internalFinish - Function to finish reading
+   * @param {number} attempt - Current attempt number
+   * @private
+   */
+  _emitFrames(chunk, internalFinish, attempt) {
+    const { frames, overflow } = this._frameDecoder.push(chunk);
+
+    if (overflow) {
+      this._handleError(new LimitExceededError(`Frame exceeds maxFrameLength of ${this._frameDecoder.maxFrameLength} bytes: ${this._filePath}`,
+        { code: 'ERR_FRAME_TOO_LONG', path: this._filePath }));
+    }
+
+    this._isEmittingFrames = true;
+    try {
+      for (const frame of frames) {
+        if (this._stopReading) break;
+        this._frameCallback(frame, internalFinish, attempt);
+      }
+    } finally {
+      this._isEmittingFrames = false;
+    }
+  }
+
+  /**
+   * Flushes or discards the incomplete frame
+   * according to the partialFrame option.
+   * @param {Function} internalFinish - Function to finish reading
+   * @param {number} attempt - Current attempt number
+   * @private
+   */
+  _endPartialFrame(internalFinish, attempt) {
+    if (!this._frameDecoder) return;
+
+    if (this._partialFrame === 'discard') {
+      this._frameDecoder.reset();
+      return;
+    }
+
+    const frame = this._frameDecoder.flush();
+    if (frame !== null) {
+      this._frameCallback(frame, internalFinish, attempt);
+    }
+  }
+
+  /**
+   * Checks a followed file for appended data,
+   * truncation and rotation, and reopens it when needed.
+   * A rotated or removed file is read to its end
+   * through its open file descriptor before switching.
+   * @param {number} attempt - Current attempt number
+   * @param {Function} internalFinish - Function to finish reading
+   * @private
+   */
+  _followFile(attempt, internalFinish) {
+    if (this._stopReading) return;
+
+    fs.stat(this._filePath, (err, stats) => {
+      if (this._stopReading) return;
+
+      const isReplaced = err || (this._followIno !== undefined && stats.ino !== this._followIno);
+      if (isReplaced && this._followFd !== null) {
+        fs.fstat(this._followFd, (fstatErr, fdStats) => {
+          if (this._stopReading) return;
+          if (!fstatErr && fdStats.size > this._position) {
+            // data written before the rotation.
+            this._performRead(attempt);
+          } else {
+            this._closeFollowFd();
+            this._followFile(attempt, internalFinish);
+          }
+        });
+      } else if (err && this._options.hotplug) {
+        this._waitForReplug();
+      } else if (err) {
+        // rotated away, wait for the file to be recreated.
+        this._setTimeout(() => this._followFile(attempt, internalFinish), this._getFollowInterval());
+      } else if (isReplaced || stats.size < this._position) {
+        // rotated or truncated, read the new file from the start.
+        this._endPartialFrame(internalFinish, attempt);
+        this._closeFollowFd();
+        this._position = 0;
+        this._followIno = undefined;
+        this._performRead(attempt);
+      } else if (stats.size > this._position) {
+        this._performRead(attempt);
+      } else {
+        this._setTimeout(() => this._followFile(attempt, internalFinish), this._getFollowInterval());
+      }
+    });
+  }
+
+  /**
+   * Closes the file descriptor kept open between
+   * the reads of a followed file.
+   * @private
+   */
+  _closeFollowFd() {
+    if (this._followFd !== null) {
+      fs.close(this._followFd, () => {});
+      this._followFd = null;
+    }
+  }
+
+  /**
+   * Checks if the read position is past the end option.
+   * @returns {boolean} True if there is nothing left to read in the range
+   * @private
+   */
+  _isPastEnd() {
+    return this._options.end !== undefined && this._position > this._options.end;
+  }
+
+  /**
+   * Returns the interval between checks of a followed file.
+   * @returns {number} Interval in milliseconds
+   * @private
+   */
+  _getFollowInterval() {
+    return this._options.followInterval !== undefined ? this._options.followInterval : 1000;
+  }
+
+  /**
+   * Creates a read stream with appropriate flags
+   * for continuous reading and timeout protection.
+   * @returns {fs.ReadStream} The configured read stream
+   * @private
+   */
+  _createReadStream() {
+    const filePath = this._filePath;
+
     // Get timeout from options, default to 0 (disabled) if not provided
     const timeout = this._options.readTimeout !== undefined ? this._options.readTimeout : 0;
     
@@ -258,11 +1423,11 @@ class ReadOperation {
     streamOptions = {
       flags: 'r',
       autoClose: false,
-      highWaterMark: 1024,
+      highWaterMark: this._options.highWaterMark !== undefined ? this._options.highWaterMark : 1024,
       emitClose: false
     };
     
-    if (isDeviceFile) {
+    if (isDeviceFile(filePath, this._kind)) {
       // Try to open device files in read-write mode first.
       try {
         streamOptions.flags = 'r+';
@@ -272,13 +1437,27 @@ class ReadOperation {
         stream = createReadStream(filePath, streamOptions);
       }
     } else {
+      // Regular files resume at the current position.
+      if (this._kind !== 'fifo') {
+        if (this._position > 0) {
+          streamOptions.start = this._position;
+        }
+        if (this._options.end !== undefined) {
+          streamOptions.end = this._options.end;
+        }
+        // a followed file is read again through its open file descriptor.
+        if (this._followFd !== null) {
+          streamOptions.fd = this._followFd;
+          streamOptions.start = this._position;
+        }
+      }
       // Regular files and FIFOs - all use continuous reading configuration
       stream = createReadStream(filePath, streamOptions);
     }
     
     if (timeout > 0) {
       const timeoutHandle = setTimeout(() => {
-        stream.destroy(new Error(`${filePath} read timeout after ${timeout}ms`));
+        stream.destroy(new ReadTimeoutError(`${filePath} read timeout after ${timeout}ms`, { path: filePath }));
       }, timeout);
       
       stream.on('error', () => clearTimeout(timeoutHandle));
@@ -293,22 +1472,220 @@ class ReadOperation {
    * @private
    */
   _handleError(error) {
+    this._stats.lastError = error;
+    const fileStats = this._getFileStats();
+    if (fileStats) fileStats.lastError = error;
     if (this._errorCallback) {
       this._errorCallback(error);
     }
   }
 
   /**
-   * Checks if the file path refers to a named pipe (FIFO).
-   * @returns {boolean} True if the file is a FIFO, false otherwise
+   * Reports an error after which the read operation
+   * can't continue, and throws it from the async iterators.
+   * @param {Error} error - The error to report
+   * @private
+   */
+  _fail(error) {
+    this._hasFailed = true;
+    this._settleCircuit(error);
+    this._stopWaiting();
+    this._clearIdleTimer();
+    this._handleError(error);
+    for (const listener of this._iteratorListeners) {
+      listener.error(error);
+    }
+  }
+
+  /**
+   * Calls a lifecycle hook if it is set.
+   * @param {string} name - Hook name: open, waiting, retry, reconnect or close
+   * @param {...*} args - Hook arguments
+   * @private
+   */
+  _emitHook(name, ...args) {
+    this._recordHook(name);
+    const hook = this._hooks[name];
+    if (hook) {
+      hook(...args);
+    }
+  }
+
+  /**
+   * Updates the statistics for a lifecycle event.
+   * @param {string} name - Hook name
+   * @private
+   */
+  _recordHook(name) {
+    const fileStats = this._getFileStats();
+    if (name === 'waiting') {
+      this._stats.retries.exists++;
+      if (fileStats) fileStats.retries.readExists++;
+      if (this._waitingSince === null) {
+        this._waitingSince = Date.now();
+      }
+    } else if (name === 'open') {
+      this._stopWaiting();
+      if (this._circuitTicket) this._circuitBreaker.recordSuccess(this._circuitTicket);
+    } else if (name === 'retry') {
+      this._stats.retries.read++;
+      if (fileStats) fileStats.retries.read++;
+    } else if (name === 'reconnect') {
+      this._stats.reconnects++;
+      if (fileStats) fileStats.reconnects++;
+    }
+  }
+
+  /**
+   * Updates the statistics for a received chunk.
+   * @param {Buffer} chunk - The data chunk
+   * @private
+   */
+  _countChunk(chunk) {
+    this._stats.bytesRead += chunk.length;
+    this._stats.chunks++;
+    const fileStats = this._getFileStats();
+    if (fileStats) {
+      fileStats.bytesRead += chunk.length;
+      fileStats.readChunks++;
+    }
+  }
+
+  /**
+   * Adds the time spent waiting for the file
+   * to exist to the statistics.
+   * @private
+   */
+  _stopWaiting() {
+    if (this._waitingSince === null) return;
+    const elapsed = Date.now() - this._waitingSince;
+    this._waitingSince = null;
+    this._stats.waitingTime += elapsed;
+    const fileStats = this._getFileStats();
+    if (fileStats) fileStats.waitingTime += elapsed;
+  }
+
+  /**
+   * Reports the end of the read operation to the circuit breaker:
+   * a failure, or a release when it stopped or was aborted.
+   * @param {Error|null} error - The error that ended the read operation
+   * @private
+   */
+  _settleCircuit(error) {
+    if (!this._circuitTicket) return;
+    if (error && !(error instanceof AbortError)) {
+      this._circuitBreaker.recordFailure(this._circuitTicket);
+    } else {
+      this._circuitBreaker.release(this._circuitTicket);
+    }
+  }
+
+  /**
+   * Returns the File statistics to update. Subscribers of a
+   * shared reader don't update them, the underlying read does.
+   * @returns {Object|null} The File statistics
+   * @private
+   */
+  _getFileStats() {
+    return this._options.shared ? null : this._fileStats;
+  }
+
+  /**
+   * Handles a chunk broadcast by the shared reader.
+   * @param {Buffer} chunk - The data chunk
+   * @param {number} attempt - Attempt number of the underlying read
+   * @private
+   */
+  _onSharedData(chunk, attempt) {
+    if (this._stopReading) return;
+
+    this._position += chunk.length;
+    this._countChunk(chunk);
+    this._armIdleTimer();
+
+    this._receiveChunk({ chunk, offset: this._position, internalFinish: () => this.finish(), attempt });
+  }
+
+  /**
+   * Handles the end of the shared reader, e.g. EOF of a regular file.
+   * @private
+   */
+  _onSharedFinish() {
+    if (this._stopReading) return;
+
+    this._sharedReader = null;
+    this._whenDrained(() => {
+      this._endStringDecoder(() => this.finish(), 1);
+      this.finish();
+    });
+  }
+
+  /**
+   * Handles a FIFO writer disconnect of the shared reader:
+   * ends the incomplete frame and character of the writer.
+   * @param {Array} args - Arguments of the reconnect hook
+   * @private
+   */
+  _onSharedReconnect(args) {
+    if (this._stopReading) return;
+
+    this._whenDrained(() => {
+      const internalFinish = () => this.finish();
+      this._endPartialFrame(internalFinish, 1);
+      this._endStringDecoder(internalFinish, 1);
+      if (this._stopReading) return;
+      this._emitHook('reconnect', ...args);
+    });
+  }
+
+  /**
+   * Handles an error of the shared reader.
+   * @param {Error} error - The error
+   * @param {boolean} isFatal - True if the shared reader can't continue
+   * @private
+   */
+  _onSharedError(error, isFatal) {
+    if (this._stopReading) return;
+
+    if (isFatal) {
+      this._sharedReader = null;
+      this._fail(error);
+    } else {
+      this._handleError(error);
+    }
+  }
+
+  /**
+   * Notifies the finish callback
+   * and ends the async iterators.
+   * @private
+   */
+  _notifyFinish() {
+    this._clearIdleTimer();
+    // the checkpoint file holds the last offset once finished.
+    this._whenCheckpointSaved(() => {
+      for (const listener of this._iteratorListeners) {
+        listener.end();
+      }
+      if (this._finishCallback) {
+        this._finishCallback();
+      }
+    });
+  }
+
+  /**
+   * Opens and closes the FIFO for writing, so that
+   * a pending open for reading returns. The open
+   * is non-blocking: if nobody reads from the FIFO
+   * there is nothing to unblock.
    * @private
    */
-  _isFIFO() {
+  _unblockFIFO() {
     try {
-      const stats = fs.statSync(this._filePath);
-      return stats.isFIFO();
+      const fd = fs.openSync(this._filePath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+      fs.closeSync(fd);
     } catch (err) {
-      return false;
+      // ENXIO, no reader.
     }
   }
 }
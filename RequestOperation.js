@@ -0,0 +1,257 @@
+import { Mutex } from 'another-mutex';
+import { AbortError, ReadTimeoutError } from './Errors.js';
+import { isDeviceFile } from './FileKind.js';
+
+/**
+ * Mutex map to serialize the requests
+ * per file: a request holds the mutex of its
+ * path until its response is received, so
+ * responses can't be mixed up.
+ */
+const requestMutexes = new Map();
+
+/**
+ * Gets or creates a request mutex for one file path.
+ * @param {string} filePath - The file path to get a mutex for
+ * @returns {Mutex} The mutex instance for this file path
+ */
+function getMutex(filePath) {
+  if (!requestMutexes.has(filePath)) {
+    requestMutexes.set(filePath, new Mutex());
+  }
+  return requestMutexes.get(filePath);
+}
+
+/**
+ * Request/response transaction on a device: writes a command
+ * and waits for the response frame matching it.
+ */
+class RequestOperation {
+  /**
+   * Creates a new RequestOperation.
+   * @param {string} filePath - Path to the device or FIFO
+   * @param {string|Buffer} data - The command to write
+   * @param {Object} options - Request options
+   * @param {Function|RegExp} [options.match] - Matcher of the response frame, frames not matching are ignored.
+   *                                            The 'g' and 'y' flags of a RegExp are ignored. Defaults to the first frame.
+   * @param {number} [options.timeout] - Maximum time in milliseconds to wait for the response once the command
+   *                                     is written, 0 to wait indefinitely. Defaults to 5000.
+   * @param {number} [options.openTimeout] - Maximum time in milliseconds for the file to open once the previous
+   *                                         requests of the path got their response: the read stream of the
+   *                                         response or the write stream of the command. 0 to wait indefinitely.
+   *                                         Defaults to the timeout.
+   * @param {string|Buffer} [options.delimiter] - Delimiter of the response frames. Defaults to lines.
+   * @param {string|null} [options.encoding] - Encoding of the response frames, null for Buffers. Defaults to 'utf8'.
+   * @param {number} [options.maxFrameLength] - Maximum response frame length in bytes. Defaults to 0 (disabled).
+   * @param {boolean} [options.shared] - Whether the response is read through the shared reader of the path.
+   *                                     Devices are always read through it.
+   * @param {AbortSignal} [options.signal] - Signal to abort the request, even while it is queued.
+   * @param {Function} createReadOperation - Function creating the ReadOperation of the response () => ReadOperation
+   * @param {Function} createWriteOperation - Function creating the WriteOperation of the command () => WriteOperation
+   */
+  constructor(filePath, data, options, createReadOperation, createWriteOperation) {
+    this._filePath = filePath;
+    this._data = data;
+    this._options = options;
+    // a stateful RegExp would skip the start of the next frames.
+    this._match = options.match instanceof RegExp
+      ? new RegExp(options.match.source, options.match.flags.replace(/[gy]/g, ''))
+      : options.match;
+    this._createReadOperation = createReadOperation;
+    this._createWriteOperation = createWriteOperation;
+    this._readOperation = null;
+    this._timer = null;
+    this._openTimer = null;
+    this._unlock = null;
+    this._isSettled = false;
+    this._abortListener = null;
+    this._promise = null;
+    this._resolve = null;
+    this._reject = null;
+  }
+
+  /**
+   * Sends the request.
+   * @returns {Promise<string|Buffer>} Resolves with the response frame,
+   *                                   rejects on timeout, abort or error.
+   */
+  send() {
+    if (!this._promise) {
+      this._promise = new Promise((resolve, reject) => {
+        this._resolve = resolve;
+        this._reject = reject;
+      });
+      this._execute();
+    }
+    return this._promise;
+  }
+
+  /**
+   * Waits for the previous requests of the path
+   * and starts the request.
+   * @private
+   */
+  _execute() {
+    const signal = this._options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this._fail(new AbortError(signal.reason, { path: this._filePath }));
+        return;
+      }
+      this._abortListener = () => this._fail(new AbortError(signal.reason, { path: this._filePath }));
+      signal.addEventListener('abort', this._abortListener, { once: true });
+    }
+
+    getMutex(this._filePath).lock()
+      .then((unlock) => {
+        if (this._isSettled) {
+          // aborted while queued, let the next request run.
+          unlock();
+          return;
+        }
+        this._unlock = unlock;
+        this._start();
+      })
+      .catch((err) => {
+        this._fail(err);
+      });
+  }
+
+  /**
+   * Starts reading the responses and writes the command.
+   * A device is written once its read stream is open, so
+   * the response is not lost. FIFOs are written right away,
+   * the read side only opens once there is a writer.
+   * The open timeout bounds the wait for a missing device, the
+   * response timeout starts once the command is written.
+   * @private
+   */
+  _start() {
+    const timeout = this._options.timeout !== undefined ? this._options.timeout : 5000;
+    const openTimeout = this._options.openTimeout !== undefined ? this._options.openTimeout : timeout;
+
+    if (openTimeout > 0) {
+      this._openTimer = setTimeout(() => {
+        this._fail(new ReadTimeoutError(`Not open after ${openTimeout} ms: ${this._filePath}`,
+          { path: this._filePath, phase: 'open' }));
+      }, openTimeout);
+    }
+    const handleOpen = () => {
+      clearTimeout(this._openTimer);
+      this._openTimer = null;
+    };
+
+    let isWritten = false;
+    const writeCommand = () => {
+      if (isWritten || this._isSettled) return;
+      isWritten = true;
+      this._createWriteOperation(this._data)
+        .onOpen(handleOpen)
+        .writeAsync()
+        .then(() => {
+          if (this._isSettled || timeout <= 0) return;
+          this._timer = setTimeout(() => {
+            this._fail(new ReadTimeoutError(`No response after ${timeout} ms: ${this._filePath}`,
+              { path: this._filePath, phase: 'response' }));
+          }, timeout);
+        }, (err) => this._fail(err));
+    };
+
+    const readOperation = this._createReadOperation();
+    this._readOperation = readOperation;
+
+    const frameOptions = {
+      delimiter: this._options.delimiter,
+      crlf: this._options.delimiter === undefined,
+      encoding: this._options.encoding,
+      maxFrameLength: this._options.maxFrameLength
+    };
+
+    readOperation
+      .onFrame((frame) => {
+        if (this._isSettled) return;
+        let isMatch;
+        try {
+          isMatch = this._matches(frame);
+        } catch (err) {
+          // a throwing matcher must not leave the request mutex locked.
+          this._fail(err);
+          return;
+        }
+        if (isMatch) {
+          this._settle();
+          this._resolve(frame);
+        }
+      }, frameOptions)
+      .onOpen(() => {
+        handleOpen();
+        writeCommand();
+      })
+      .onError((err) => this._fail(err))
+      .read();
+
+    // a shared reader may already be open, without open event.
+    if (readOperation.isOpen) {
+      handleOpen();
+    }
+    if (!isDeviceFile(this._filePath) || readOperation.isOpen) {
+      writeCommand();
+    }
+  }
+
+  /**
+   * Checks if a frame is the response.
+   * @param {string|Buffer} frame - The received frame
+   * @returns {boolean} True if the frame matches
+   * @throws {Error} When the match function throws
+   * @private
+   */
+  _matches(frame) {
+    const match = this._match;
+    if (typeof match === 'function') {
+      return match(frame);
+    }
+    if (match instanceof RegExp) {
+      return match.test(frame.toString());
+    }
+    return true;
+  }
+
+  /**
+   * Rejects the request.
+   * @param {Error} error - The error to reject with
+   * @private
+   */
+  _fail(error) {
+    if (this._isSettled) return;
+    this._settle();
+    this._reject(error);
+  }
+
+  /**
+   * Stops reading and releases the request mutex.
+   * @private
+   */
+  _settle() {
+    this._isSettled = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    clearTimeout(this._openTimer);
+    this._openTimer = null;
+    if (this._abortListener) {
+      this._options.signal.removeEventListener('abort', this._abortListener);
+      this._abortListener = null;
+    }
+    if (this._readOperation) {
+      this._readOperation.finish();
+      this._readOperation = null;
+    }
+    if (this._unlock) {
+      const unlock = this._unlock;
+      this._unlock = null;
+      unlock();
+    }
+  }
+}
+
+export default RequestOperation;
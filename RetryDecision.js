@@ -0,0 +1,93 @@
+import { isDeviceFile } from './FileKind.js';
+
+/**
+ * Decisions a retry strategy can return instead of a delay.
+ * Returning a number n is the same as RetryDecision.retry(n),
+ * returning anything else retries after 1 millisecond.
+ *
+ * @example
+ * const device = new File('/dev/ttyUSB0', {
+ *   writeFileRetryStrategy: (error, attempt, filePath, context) => {
+ *     if (error.code === 'EIO') return RetryDecision.reopen(500);
+ *     if (attempt >= 5) return RetryDecision.skip();
+ *     return RetryDecision.retry(100);
+ *   }
+ * });
+ */
+const RetryDecision = Object.freeze({
+  /**
+   * Retries the failed attempt after a delay.
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @returns {Object} The decision
+   */
+  retry(delay = 0) {
+    return { action: 'retry', delay };
+  },
+
+  /**
+   * Starts over after a delay: checks that the file exists
+   * and opens it again, with the attempt counter reset.
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @returns {Object} The decision
+   */
+  reopen(delay = 0) {
+    return { action: 'reopen', delay };
+  },
+
+  /**
+   * Write operations: gives up on this write without error,
+   * and lets the next write of the path run. The write
+   * calls onSkip instead of onFinish.
+   * Read operations: same as finish.
+   * @returns {Object} The decision
+   */
+  skip() {
+    return { action: 'skip', delay: 0 };
+  },
+
+  /**
+   * Stops the operation gracefully: a read operation finishes
+   * as if finish() was called, a write operation is skipped.
+   * @returns {Object} The decision
+   */
+  finish() {
+    return { action: 'finish', delay: 0 };
+  }
+});
+
+/**
+ * Actions of the retry decisions.
+ */
+const retryActions = ['retry', 'reopen', 'skip', 'finish'];
+
+/**
+ * Converts the value returned by a retry strategy to a decision.
+ * A value that is neither a delay nor a decision retries after 1 millisecond.
+ * @param {number|Object} result - The delay or decision returned by the strategy
+ * @returns {Object} The decision: { action, delay }
+ */
+export function toRetryDecision(result) {
+  if (typeof result === 'number' && result >= 0) {
+    return RetryDecision.retry(result);
+  }
+  if (result !== null && typeof result === 'object' && retryActions.includes(result.action)) {
+    const delay = result.delay !== undefined ? result.delay : 0;
+    if (typeof delay === 'number' && delay >= 0) {
+      return { action: result.action, delay };
+    }
+  }
+  return RetryDecision.retry(1);
+}
+
+/**
+ * Returns the type of file of a path, for the retry context.
+ * @param {string} filePath - The file path
+ * @param {string|null} kind - The kind of the file, from getFileKind
+ * @returns {string} 'fifo', 'device' or 'regular'
+ */
+export function getRetryFileType(filePath, kind) {
+  if (kind === 'fifo') return 'fifo';
+  return isDeviceFile(filePath, kind) ? 'device' : 'regular';
+}
+
+export default RetryDecision;
@@ -0,0 +1,150 @@
+import { RetriesExhaustedError } from './Errors.js';
+
+/**
+ * Composable retry strategy builders. Each builder returns a retry
+ * strategy function (error, attempt, information, context) => delay, to pass to
+ * any of the readFileExistsRetryStrategy, writeFileExistsRetryStrategy,
+ * readFileRetryStrategy and writeFileRetryStrategy options.
+ * The wrappers take the strategy they limit as last parameter:
+ *
+ *   maxAttempts(10, retryOnCodes(['EBUSY', 'EIO'], exponentialBackoff({ jitter: 0.5 })))
+ */
+
+/**
+ * Error codes of transient failures: the device is busy,
+ * temporarily unavailable, failing or not plugged in yet,
+ * or a FIFO has no reader yet.
+ */
+export const transientErrorCodes = ['EAGAIN', 'EBUSY', 'EIO', 'ENOENT', 'ENXIO'];
+
+/**
+ * Retries with an exponentially growing delay:
+ * initialDelay, initialDelay * factor, initialDelay * factor^2, ...
+ * @param {Object} [options={}] - Backoff options
+ * @param {number} [options.initialDelay=100] - Delay in milliseconds after the first failure
+ * @param {number} [options.factor=2] - Multiplier of the delay after each failure
+ * @param {number} [options.maxDelay=30000] - Maximum delay in milliseconds
+ * @param {number} [options.jitter=0] - Fraction of the delay randomized, from 0 (none) to 1 (full jitter):
+ *                                     the delay is picked between delay * (1 - jitter) and delay
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ */
+export function exponentialBackoff(options = {}) {
+  const initialDelay = options.initialDelay !== undefined ? options.initialDelay : 100;
+  const factor = options.factor !== undefined ? options.factor : 2;
+  const maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+  const jitter = options.jitter !== undefined ? options.jitter : 0;
+  if (!(jitter >= 0 && jitter <= 1)) {
+    throw new Error('jitter must be between 0 and 1.');
+  }
+
+  return (error, attempt) => {
+    const delay = Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+    return Math.round(delay * (1 - jitter * Math.random()));
+  };
+}
+
+/**
+ * Retries forever, with the same delay between attempts.
+ * @param {number} [delay=1000] - Delay in milliseconds between attempts
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ */
+export function retryForever(delay = 1000) {
+  return () => delay;
+}
+
+/**
+ * Gives up after a number of failed attempts.
+ * @param {number} attempts - Maximum number of attempts
+ * @param {Function} strategy - The retry strategy giving the delays
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ */
+export function maxAttempts(attempts, strategy) {
+  return (error, attempt, information, context) => {
+    if (attempt >= attempts) {
+      throw new RetriesExhaustedError(`Gave up after ${attempt} attempts: ${information}`,
+        { path: information, attempts: attempt, phase: context && context.phase, cause: error });
+    }
+    return strategy(error, attempt, information, context);
+  };
+}
+
+/**
+ * Gives up when the next attempt would start more than maxTime milliseconds
+ * after the first failure. Uses the elapsed time of the retry context, or
+ * without context the time since the failure of attempt 1, tracked per
+ * information, i.e. per file path.
+ * @param {number} maxTime - Maximum total time in milliseconds
+ * @param {Function} strategy - The retry strategy giving the delays or decisions
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ */
+export function maxElapsedTime(maxTime, strategy) {
+  const startTimes = new Map();
+
+  return (error, attempt, information, context) => {
+    let elapsed;
+    if (context && context.elapsed !== undefined) {
+      elapsed = context.elapsed;
+    } else {
+      if (attempt === 1 || !startTimes.has(information)) {
+        startTimes.set(information, Date.now());
+      }
+      elapsed = Date.now() - startTimes.get(information);
+    }
+    const result = strategy(error, attempt, information, context);
+    const delay = typeof result === 'number' ? result : (result && result.delay) || 0;
+    if (elapsed + delay > maxTime) {
+      startTimes.delete(information);
+      throw new RetriesExhaustedError(`Gave up after ${elapsed} ms and ${attempt} attempts: ${information}`,
+        { path: information, attempts: attempt, phase: context && context.phase, cause: error });
+    }
+    return result;
+  };
+}
+
+/**
+ * Only retries the errors with one of the codes,
+ * other errors are thrown right away.
+ * @param {string[]} [codes=transientErrorCodes] - Error codes to retry, e.g. ['EAGAIN', 'EBUSY', 'EIO', 'ENOENT', 'ENXIO']
+ * @param {Function} strategy - The retry strategy giving the delays
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ */
+export function retryOnCodes(codes, strategy) {
+  const retriedCodes = codes || transientErrorCodes;
+  return (error, attempt, information, context) => {
+    if (!retriedCodes.includes(error.code)) {
+      throw error;
+    }
+    return strategy(error, attempt, information, context);
+  };
+}
+
+/**
+ * Creates a retry strategy from options, combining the builders above.
+ * @param {Object} [options={}] - Strategy options
+ * @param {number} [options.initialDelay=100] - Delay in milliseconds after the first failure
+ * @param {number} [options.factor=2] - Multiplier of the delay after each failure, 1 for a constant delay
+ * @param {number} [options.maxDelay=30000] - Maximum delay in milliseconds
+ * @param {number} [options.jitter=0] - Fraction of the delay randomized, from 0 to 1
+ * @param {number} [options.maxAttempts=0] - Maximum number of attempts, 0 to retry forever
+ * @param {number} [options.maxElapsedTime=0] - Maximum total time in milliseconds, 0 for no limit
+ * @param {string[]} [options.codes] - Only retry the errors with these codes. Default: all errors
+ * @returns {Function} The retry strategy (error, attempt, information, context) => delay
+ *
+ * @example
+ * const device = new File('/dev/ttyUSB0', {
+ *   readFileRetryStrategy: createRetryStrategy({ maxAttempts: 10, jitter: 0.5, codes: transientErrorCodes })
+ * });
+ */
+export function createRetryStrategy(options = {}) {
+  let strategy = exponentialBackoff(options);
+  if (options.maxElapsedTime > 0) {
+    strategy = maxElapsedTime(options.maxElapsedTime, strategy);
+  }
+  if (options.maxAttempts > 0) {
+    strategy = maxAttempts(options.maxAttempts, strategy);
+  }
+  if (options.codes) {
+    strategy = retryOnCodes(options.codes, strategy);
+  }
+  return strategy;
+}
@@ -0,0 +1,184 @@
+import { KeepStreamingError } from './Errors.js';
+
+/**
+ * Options of the underlying read operation.
+ * The subscribers of a path must agree on them.
+ */
+const sourceOptionNames = [
+  'readTimeout', 'follow', 'fromEnd', 'followInterval', 'start', 'end', 'checkpointFile',
+  'hotplug', 'hotplugTimeout', 'highWaterMark', 'readFileExistsRetryStrategy', 'readFileRetryStrategy'
+];
+
+/**
+ * Shared readers map: each file path
+ * gets at most one underlying read operation,
+ * whose chunks are broadcast to every subscriber.
+ */
+const sharedReaders = new Map();
+
+/**
+ * Gets or creates the shared reader for one file path.
+ * @param {string} filePath - The file path to get a shared reader for
+ * @param {Object} options - Options of the subscribing read operation
+ * @param {Function} createSource - () => ReadOperation, creates the underlying read operation
+ * @returns {SharedReader} The shared reader for this file path
+ * @throws {KeepStreamingError} If the options differ from the ones of the underlying read operation
+ */
+export function acquireSharedReader(filePath, options, createSource) {
+  const sharedReader = sharedReaders.get(filePath);
+  if (!sharedReader) {
+    sharedReaders.set(filePath, new SharedReader(filePath, options, createSource()));
+    return sharedReaders.get(filePath);
+  }
+  const mismatch = sourceOptionNames.find((name) => options[name] !== sharedReader._options[name]);
+  if (mismatch !== undefined) {
+    throw new KeepStreamingError(`Shared read operations of ${filePath} must have the same ${mismatch} option`,
+      { code: 'ERR_SHARED_OPTIONS_MISMATCH', path: filePath });
+  }
+  return sharedReader;
+}
+
+/**
+ * One underlying read operation broadcasting its chunks
+ * to subscribed read operations. Reference counted: the
+ * underlying read operation is finished when the last
+ * subscriber finishes.
+ */
+class SharedReader {
+  /**
+   * Creates a new SharedReader.
+   * @param {string} filePath - Path of the shared file
+   * @param {Object} options - Options of the first subscriber, the underlying read operation uses them
+   * @param {ReadOperation} source - The underlying read operation
+   */
+  constructor(filePath, options, source) {
+    this._filePath = filePath;
+    this._options = options;
+    this._source = source;
+    this._subscribers = new Set();
+    this._pausedSubscribers = new Set();
+    this._isStarted = false;
+
+    source
+      .onData((chunk, finish, attempt) => {
+        for (const subscriber of [...this._subscribers]) {
+          subscriber._onSharedData(chunk, attempt);
+        }
+      })
+      .onFinish(() => {
+        this._close();
+        for (const subscriber of [...this._subscribers]) {
+          subscriber._onSharedFinish();
+        }
+      })
+      .onError((error) => {
+        const isFatal = source.hasFailed;
+        if (isFatal) {
+          this._close();
+        }
+        for (const subscriber of [...this._subscribers]) {
+          subscriber._onSharedError(error, isFatal);
+        }
+      });
+
+    // forward the lifecycle hooks of the underlying read.
+    source
+      .onOpen((...args) => this._broadcastHook('open', args))
+      .onWaiting((...args) => this._broadcastHook('waiting', args))
+      .onRetry((...args) => this._broadcastHook('retry', args))
+      .onReconnect((...args) => {
+        for (const subscriber of [...this._subscribers]) {
+          subscriber._onSharedReconnect(args);
+        }
+      })
+      .onClose((...args) => this._broadcastHook('close', args));
+  }
+
+  /**
+   * Number of subscribed read operations.
+   * @returns {number} The subscriber count
+   */
+  get subscriberCount() {
+    return this._subscribers.size;
+  }
+
+  /**
+   * Whether the underlying read operation has the file open.
+   * @returns {boolean} True if the file is open
+   */
+  get isOpen() {
+    return this._source.isOpen;
+  }
+
+  /**
+   * Adds a subscriber and starts reading
+   * on the first subscription.
+   * @param {ReadOperation} subscriber - The subscribing read operation
+   */
+  subscribe(subscriber) {
+    this._subscribers.add(subscriber);
+    if (!this._isStarted) {
+      this._isStarted = true;
+      this._source.read();
+    }
+  }
+
+  /**
+   * Removes a subscriber and finishes the underlying
+   * read operation when it was the last one.
+   * @param {ReadOperation} subscriber - The unsubscribing read operation
+   */
+  unsubscribe(subscriber) {
+    if (!this._subscribers.delete(subscriber)) return;
+    if (this._subscribers.size === 0) {
+      this._close();
+      this._source.finish();
+    } else {
+      this.setPaused(subscriber, false);
+    }
+  }
+
+  /**
+   * Pauses the underlying read operation while
+   * a subscriber can't take more chunks.
+   * @param {ReadOperation} subscriber - The subscriber
+   * @param {boolean} isPaused - True if the subscriber can't take more chunks
+   */
+  setPaused(subscriber, isPaused) {
+    if (isPaused && this._subscribers.has(subscriber)) {
+      this._pausedSubscribers.add(subscriber);
+    } else {
+      this._pausedSubscribers.delete(subscriber);
+    }
+    if (this._pausedSubscribers.size > 0) {
+      this._source.pause();
+    } else {
+      this._source.resume();
+    }
+  }
+
+  /**
+   * Calls a lifecycle hook of every subscriber.
+   * @param {string} name - Hook name
+   * @param {Array} args - Hook arguments
+   * @private
+   */
+  _broadcastHook(name, args) {
+    for (const subscriber of [...this._subscribers]) {
+      subscriber._emitHook(name, ...args);
+    }
+  }
+
+  /**
+   * Removes this shared reader from the map,
+   * the next subscriber opens a new one.
+   * @private
+   */
+  _close() {
+    if (sharedReaders.get(this._filePath) === this) {
+      sharedReaders.delete(this._filePath);
+    }
+  }
+}
+
+export default SharedReader;
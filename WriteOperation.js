@@ -1,25 +1,35 @@
 import fs from 'fs';
+import path from 'path';
 import { createWriteStream } from 'fs';
-import { Mutex } from 'another-mutex';
+import { AbortError, WriteTimeoutError } from './Errors.js';
+import ProcessLock, { getDefaultLockPath } from './ProcessLock.js';
+import { getWriteQueue } from './WriteQueue.js';
+import { toRetryDecision, getRetryFileType } from './RetryDecision.js';
+import { resolveFileKind, isDeviceFile, createUnsupportedKindError } from './FileKind.js';
 
 /**
- * Mutex map to ensure sequential
- * writes per file: each file path
- * gets its own mutex to prevent
- * concurrent write operations.
+ * Open flags of the write modes for regular files.
+ * The offset mode neither truncates nor appends.
  */
-const writeMutexes = new Map();
+const writeModeFlags = {
+  truncate: 'w',
+  append: 'a',
+  exclusive: 'wx',
+  offset: fs.constants.O_WRONLY | fs.constants.O_CREAT
+};
 
 /**
- * Gets or creates a mutex for one file path.
- * @param {string} filePath - The file path to get a mutex for
- * @returns {Mutex} The mutex instance for this file path
+ * Resolves the symlinks of the file an atomic write replaces.
+ * A file that doesn't exist yet is written at its own path.
+ * @param {string} filePath - Path to the file
+ * @returns {string} The real path of the file
  */
-function getMutex(filePath) {
-  if (!writeMutexes.has(filePath)) {
-    writeMutexes.set(filePath, new Mutex());
+function resolveTargetPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (err) {
+    return filePath;
   }
-  return writeMutexes.get(filePath);
 }
 
 /**
@@ -30,17 +40,95 @@ class WriteOperation {
   /**
    * Creates a new WriteOperation instance.
    * @param {string} filePath - Path to the file, device, or FIFO to write to
-   * @param {string|Buffer} data - Data to write to the file
+   * @param {string|Buffer|Readable|Iterable|AsyncIterable} data - Data to write to the file. Readable streams
+   *                                                              and iterables of strings or Buffers are written
+   *                                                              chunk by chunk, with backpressure
    * @param {Object} options - Configuration options
    * @param {Function} [options.writeFileExistsRetryStrategy] - Custom retry strategy for file existence checks
-   * @param {Function} [options.writeFileRetryStrategy] - Custom retry strategy for write failures
+   * @param {Function} [options.writeFileRetryStrategy] - Custom retry strategy for write failures.
+   *                                                    Retry strategies return a delay or a RetryDecision
+   * @param {string} [options.mode] - Write mode for regular files: 'truncate', 'append', 'exclusive'
+   *                                  (fails with EEXIST if the file exists) or 'offset'. Defaults to 'truncate'
+   * @param {number} [options.offset] - Byte offset to write at, for the 'offset' mode
+   * @param {boolean} [options.atomic] - For regular files, write to a temporary file in the same directory, fsync it,
+   *                                    rename it over the file and fsync the directory. Keeps the mode, owner and
+   *                                    symlinks of the file. Only with the 'truncate' mode
+   * @param {boolean} [options.fsync] - For regular files, fsync the file before closing it
+   * @param {number} [options.writeTimeout] - Maximum time in milliseconds of each write attempt: open, write and finish.
+   *                                         The timeout is handled by writeFileRetryStrategy. Defaults to 0 (disabled)
+   * @param {boolean} [options.nonBlockingOpen] - For FIFOs, fail with ENXIO when there is no reader,
+   *                                            instead of waiting for one, and with EAGAIN when the FIFO stays full
+   * @param {number} [options.priority] - Queued writes with a higher priority run first. Defaults to 0
+   * @param {number} [options.maxQueue] - Maximum number of writes waiting in the write queue of the path,
+   *                                     0 for no limit. Defaults to 0
+   * @param {string} [options.queuePolicy] - Policy when the write queue is full: 'reject' (this write) or
+   *                                        'drop-oldest'. 'coalesce-latest' also drops the queued 'coalesce-latest' writes
+   *                                        of the same or a lower priority, full or not. Defaults to 'reject'
+   * @param {boolean} [options.processLock] - Also serialize the writes across processes with a lock file
+   * @param {string} [options.lockPath] - Path of the lock file. Defaults to a sidecar '<filePath>.lock' file,
+   *                                     or a file in the temporary directory for the paths in /dev/
+   * @param {number} [options.lockTimeout] - Maximum time in milliseconds to acquire the lock file. Defaults to 10000
+   * @param {number} [options.staleLockTimeout] - Age in milliseconds after which a lock file is stale. Defaults to 60000
+   * @param {string} [options.encoding] - Encoding of string data: 'utf8', 'latin1', 'hex', 'base64', ... Defaults to 'utf8'
+   * @param {AbortSignal} [options.signal] - Signal to abort the write operation: removes it from the write queue,
+   *                                        cancels the pending retries and rejects with an AbortError
+   * @param {Object} [fileStats] - Statistics of the File, updated along with the operation statistics
+   * @param {CircuitBreaker} [circuitBreaker] - Circuit breaker of the File: the write operation fails fast
+   *                                            while it is open, and reports its outcome to it
    */
-  constructor(filePath, data, options) {
+  constructor(filePath, data, options, fileStats, circuitBreaker) {
+    if (options.encoding && !Buffer.isEncoding(options.encoding)) {
+      throw new Error(`Unknown encoding: ${options.encoding}`);
+    }
+    if (options.mode !== undefined && !(options.mode in writeModeFlags)) {
+      throw new Error(`mode must be 'truncate', 'append', 'exclusive' or 'offset'.`);
+    }
+    if (options.mode === 'offset' && !(Number.isSafeInteger(options.offset) && options.offset >= 0)) {
+      throw new Error('offset must be a non-negative integer.');
+    }
+    if (options.queuePolicy !== undefined && !['reject', 'drop-oldest', 'coalesce-latest'].includes(options.queuePolicy)) {
+      throw new Error(`queuePolicy must be 'reject', 'drop-oldest' or 'coalesce-latest'.`);
+    }
+    if (options.atomic && options.mode !== undefined && options.mode !== 'truncate') {
+      throw new Error(`atomic writes only support the 'truncate' mode.`);
+    }
     this._filePath = filePath;
     this._data = data;
     this._options = options;
+    this._fileStats = fileStats || null;
+    this._circuitBreaker = circuitBreaker || null;
+    this._circuitTicket = null;
+    this._stats = {
+      bytesWritten: 0,
+      retries: { exists: 0, write: 0 },
+      queueTime: 0,
+      waitingTime: 0,
+      skipped: false,
+      lastError: null
+    };
+    this._waitingSince = null;
+    this._retryStartedAt = null;
+    this._attemptBytes = 0;
+    this._writtenBytes = 0;
+    this._hasCreatedFile = false;
+    this._kind = null;
+    this._activeStream = null;
+    this._tempPath = null;
+    this._targetPath = null;
+    this._retryTimer = null;
+    this._writeTimer = null;
+    this._unlock = null;
+    this._processLock = null;
+    this._queueEntry = null;
+    this._isAborted = false;
+    this._abortListener = null;
     this._finishCallback = null;
+    this._skipCallback = null;
     this._errorCallback = null;
+    this._hooks = {};
+    this._promise = null;
+    this._resolve = null;
+    this._reject = null;
   }
 
   /**
@@ -53,6 +141,69 @@ class WriteOperation {
     return this;
   }
 
+  /**
+   * Sets the callback for when a retry strategy skips the write.
+   * onFinish is not called for a skipped write.
+   * @param {Function} callback - Function to call with the error that led to the skip (error: Error) => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onSkip(callback) {
+    this._skipCallback = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when a write stream is opened.
+   * @param {Function} callback - Function to call with the attempt number (attempt: number) => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onOpen(callback) {
+    this._hooks.open = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when the file doesn't
+   * exist yet and a new check is scheduled.
+   * @param {Function} callback - Function to call (error: Error, attempt: number, delay: number) => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onWaiting(callback) {
+    this._hooks.waiting = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when writing failed
+   * and a retry is scheduled.
+   * @param {Function} callback - Function to call (error: Error, attempt: number, delay: number) => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onRetry(callback) {
+    this._hooks.retry = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when written data is flushed to the file.
+   * @param {Function} callback - Function to call with the bytes written by the current attempt (bytesWritten: number) => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onProgress(callback) {
+    this._hooks.progress = callback;
+    return this;
+  }
+
+  /**
+   * Sets the callback for when a write stream is closed.
+   * @param {Function} callback - Function to call () => void
+   * @returns {WriteOperation} This operation for chaining
+   */
+  onClose(callback) {
+    this._hooks.close = callback;
+    return this;
+  }
+
   /**
    * Sets the error callback.
    * @param {Function} callback - Function to call on error (error: Error) => void
@@ -66,27 +217,201 @@ class WriteOperation {
   /**
    * Executes the write operation.
    * This should be called last in the chain.
+   * @returns {WriteOperation} This operation
    */
   write() {
-    this._execute();
+    this._start();
     return this;
   }
 
+  /**
+   * Executes the write operation, like write(), and returns a Promise.
+   * @returns {Promise<Object|void>} Resolves when writing finishes, with { skipped: true }
+   *                                 when a retry strategy skipped the write,
+   *                                 rejects when the retry strategies give up.
+   */
+  writeAsync() {
+    this._start();
+    return this._promise;
+  }
+
+  /**
+   * Makes the write operation awaitable, so that await op.write() waits for
+   * the write like writeAsync(). Awaiting an operation that is not executed yet
+   * executes it.
+   * @param {Function} [onFulfilled] - Function to call when writing finishes
+   * @param {Function} [onRejected] - Function to call when the retry strategies give up
+   * @returns {Promise} The Promise of writeAsync(), chained with the callbacks
+   */
+  then(onFulfilled, onRejected) {
+    return this.writeAsync().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Returns the statistics of this write operation.
+   * @returns {Object} Statistics: bytesWritten, retries ({ exists, write }), queueTime (milliseconds
+   *                   waiting for the mutex), waitingTime (milliseconds waiting for the file to exist),
+   *                   skipped (the write was skipped by a retry strategy) and lastError
+   */
+  getStats() {
+    const waitingTime = this._stats.waitingTime +
+      (this._waitingSince !== null ? Date.now() - this._waitingSince : 0);
+    return {
+      ...this._stats,
+      retries: { ...this._stats.retries },
+      waitingTime
+    };
+  }
+
+  /**
+   * Starts the write operation once.
+   * @private
+   */
+  _start() {
+    if (this._promise) return;
+    this._promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+    // callback-only callers never observe the promise.
+    this._promise.catch(() => {});
+    this._execute();
+  }
+
   /**
    * Starts the write operation execution by acquiring a mutex lock.
    * Ensures sequential writes per file path.
    * @private
    */
   _execute() {
-    const mtx = getMutex(this._filePath);
-    
-    mtx.lock()
-      .then((unlock) => {
-        this._waitForFileAndWrite(1, unlock);
-      })
-      .catch((err) => {
+    const signal = this._options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this._abort();
+        return;
+      }
+      this._abortListener = () => this._abort();
+      signal.addEventListener('abort', this._abortListener, { once: true });
+    }
+
+    const queuedAt = Date.now();
+    this._queueEntry = {
+      priority: this._options.priority !== undefined ? this._options.priority : 0,
+      start: (unlock) => {
+        this._queueEntry = null;
+        this._unlock = unlock;
+        if (this._circuitBreaker) {
+          this._circuitTicket = this._circuitBreaker.allow();
+          if (!this._circuitTicket) {
+            this._releaseLock();
+            this._handleError(this._circuitBreaker.createOpenError());
+            return;
+          }
+        }
+        this._acquireProcessLock(() => {
+          this._stats.queueTime = Date.now() - queuedAt;
+          this._waitForFileAndWrite(1, () => this._releaseLock());
+        });
+      },
+      cancel: (error) => {
+        this._queueEntry = null;
+        this._cancel(error);
+      }
+    };
+    getWriteQueue(this._filePath).enqueue(
+      this._queueEntry,
+      this._options.maxQueue !== undefined ? this._options.maxQueue : 0,
+      this._options.queuePolicy || 'reject'
+    );
+  }
+
+  /**
+   * Acquires the lock file with the processLock option,
+   * so the writes of the path are serialized across processes.
+   * @param {Function} callback - Function to call once acquired () => void
+   * @private
+   */
+  _acquireProcessLock(callback) {
+    if (!this._options.processLock) {
+      callback();
+      return;
+    }
+    this._processLock = new ProcessLock(this._options.lockPath || getDefaultLockPath(this._filePath), {
+      timeout: this._options.lockTimeout,
+      staleTimeout: this._options.staleLockTimeout
+    });
+    this._processLock.acquire((err) => {
+      if (err) {
+        this._releaseLock();
         this._handleError(err);
-      });
+      } else {
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Releases the lock file and the mutex lock, once.
+   * @private
+   */
+  _releaseLock() {
+    if (this._processLock) {
+      this._processLock.release();
+      this._processLock = null;
+    }
+    if (this._unlock) {
+      const unlock = this._unlock;
+      this._unlock = null;
+      unlock();
+    }
+  }
+
+  /**
+   * Cancels the write operation when the signal is aborted.
+   * @private
+   */
+  _abort() {
+    this._cancel(new AbortError(this._options.signal.reason, { path: this._filePath }));
+  }
+
+  /**
+   * Cancels the write operation: leaves the write queue,
+   * cancels the pending retry, stops the active write
+   * stream and rejects with the error.
+   * @param {Error} error - The error to reject with
+   * @private
+   */
+  _cancel(error) {
+    if (this._isAborted) return;
+    this._isAborted = true;
+    this._leaveQueue();
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._clearWriteTimer();
+    if (this._activeStream) {
+      const tempPath = this._tempPath;
+      if (tempPath) {
+        // the temporary file may still be opening.
+        this._tempPath = null;
+        this._activeStream.once('close', () => fs.unlink(tempPath, () => {}));
+      }
+      this._destroyStream(this._activeStream);
+      this._activeStream = null;
+    }
+    this._removeTempFile();
+    this._releaseLock();
+    this._handleError(error);
+  }
+
+  /**
+   * Removes this write operation from the write queue.
+   * @private
+   */
+  _leaveQueue() {
+    if (this._queueEntry) {
+      getWriteQueue(this._filePath).remove(this._queueEntry);
+      this._queueEntry = null;
+    }
   }
 
   /**
@@ -98,29 +423,61 @@ class WriteOperation {
    * @private
    */
   _waitForFileAndWrite(attempt, unlock) {
-    // For device files and FIFOs, check file existence
-    if (this._filePath.startsWith('/dev/') || this._isNamedPipe()) {
-      fs.access(this._filePath, fs.constants.F_OK, (err) => {
+    this._resolveKind(unlock, (err) => {
+      // For device files and FIFOs, check file existence
+      if (isDeviceFile(this._filePath, this._kind) || this._kind === 'fifo') {
         if (err) {
           this._handleFileExistsError(err, attempt, unlock);
         } else {
           this._performWrite(1, unlock);
         }
-      });
-    } else {
-      // For regular files, create parent directory if needed
-      const dir = this._filePath.substring(0, this._filePath.lastIndexOf('/'));
-      if (dir) {
-        fs.mkdir(dir, { recursive: true }, (err) => {
-          if (err && err.code !== 'EEXIST') {
-            this._handleFileExistsError(err, attempt, unlock);
-          } else {
-            this._performWrite(1, unlock);
-          }
-        });
       } else {
-        this._performWrite(1, unlock);
+        this._createParentDirectory(attempt, unlock);
+      }
+    });
+  }
+
+  /**
+   * Resolves the kind of the file, once per attempt. Sockets
+   * and directories fail without going through the retry strategy.
+   * @param {Function} unlock - Function to unlock the mutex.
+   * @param {Function} callback - Function to call with the fs.stat error, if the
+   *                              file doesn't exist (err: Error|null) => void
+   * @private
+   */
+  _resolveKind(unlock, callback) {
+    resolveFileKind(this._filePath, (err, kind) => {
+      if (this._isAborted) return;
+      this._kind = kind;
+      const kindError = createUnsupportedKindError(this._filePath, kind);
+      if (kindError) {
+        unlock();
+        this._handleError(kindError);
+      } else {
+        callback(err);
       }
+    });
+  }
+
+  /**
+   * Creates the parent directory of a regular file
+   * if needed, and then starts writing.
+   * @param {number} attempt - Current attempt number
+   * @param {Function} unlock - Function to unlock the mutex.
+   * @private
+   */
+  _createParentDirectory(attempt, unlock) {
+    const dir = this._filePath.substring(0, this._filePath.lastIndexOf('/'));
+    if (dir) {
+      fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err && err.code !== 'EEXIST') {
+          this._handleFileExistsError(err, attempt, unlock);
+        } else {
+          this._performWrite(1, unlock);
+        }
+      });
+    } else {
+      this._performWrite(1, unlock);
     }
   }
 
@@ -132,13 +489,16 @@ class WriteOperation {
    * @private
    */
   _handleFileExistsError(error, attempt, unlock) {
+    if (this._isAborted) return;
     try {
-      const delay = this._options.writeFileExistsRetryStrategy(error, attempt, this._filePath);
-      if (typeof delay === 'number') {
-        setTimeout(() => this._waitForFileAndWrite(attempt + 1, unlock), delay);
-      } else {
-        setTimeout(() => this._waitForFileAndWrite(attempt + 1, unlock), 1);
+      const decision = this._decideRetry(this._options.writeFileExistsRetryStrategy, error, attempt, 'exists');
+      if (decision.action === 'skip' || decision.action === 'finish') {
+        this._skip(unlock, error);
+        return;
       }
+      this._emitHook('waiting', error, attempt, decision.delay);
+      const nextAttempt = decision.action === 'reopen' ? 1 : attempt + 1;
+      this._retryTimer = setTimeout(() => this._waitForFileAndWrite(nextAttempt, unlock), decision.delay);
     } catch (err) {
       unlock();
       this._handleError(err);
@@ -147,87 +507,596 @@ class WriteOperation {
 
   /**
    * Performs the actual write operation with retry logic.
+   * With the nonBlockingOpen option, a FIFO is opened
+   * with O_NONBLOCK, which fails with ENXIO when
+   * there is no reader, and written through that file
+   * descriptor, so the reader never sees the FIFO
+   * without writer between the check and the write.
    * @param {number} attempt - Current attempt number
    * @param {Function} unlock - Function to unlock the mutex.
    * @private
    */
   _performWrite(attempt, unlock) {
+    if (this._isAborted) return;
+    if (this._options.nonBlockingOpen && this._kind === 'fifo') {
+      fs.open(this._filePath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK, (err, fd) => {
+        if (this._isAborted) {
+          if (!err) fs.close(fd, () => {});
+          return;
+        }
+        if (err) {
+          this._retryWrite(err, attempt, unlock);
+        } else {
+          this._startWrite(attempt, unlock, fd);
+        }
+      });
+    } else {
+      this._startWrite(attempt, unlock);
+    }
+  }
+
+  /**
+   * Opens the write stream and writes the data.
+   * A streaming source can't be replayed, so once its
+   * first chunk is read, failures are not retried.
+   * @param {number} attempt - Current attempt number
+   * @param {Function} unlock - Function to unlock the mutex.
+   * @param {number} [fd] - File descriptor of a FIFO opened with O_NONBLOCK
+   * @private
+   */
+  _startWrite(attempt, unlock, fd) {
     try {
-      const writeStream = this._createWriteStream();
-      
-      writeStream.on('finish', () => {
-        unlock();
-        if (this._finishCallback) {
-          this._finishCallback();
+      const writeStream = fd !== undefined ? createWriteStream(null, { fd }) : this._createWriteStream();
+      this._activeStream = writeStream;
+      this._attemptBytes = 0;
+
+      const openCallbacks = [];
+      const whenOpen = (callback) => openCallbacks.push(callback);
+      const handleOpen = () => {
+        if (this._options.mode === 'exclusive') {
+          this._hasCreatedFile = true;
         }
+        this._emitHook('open', attempt);
+        openCallbacks.forEach((callback) => callback());
+      };
+      if (fd !== undefined) {
+        // a write stream created from a file descriptor has no 'open' event.
+        process.nextTick(() => {
+          if (this._activeStream === writeStream) handleOpen();
+        });
+      } else {
+        writeStream.on('open', handleOpen);
+      }
+
+      writeStream.on('close', () => {
+        this._emitHook('close');
       });
+      
+      let hasFailed = false;
+      let isSourceStarted = false;
+      const handleWriteError = (error) => {
+        if (this._isAborted || hasFailed) return;
+        hasFailed = true;
+        if (fd !== undefined && error.code === 'ERR_SYSTEM_ERROR') {
+          // the FIFO stayed full: Node.js gives up after retrying EAGAIN.
+          error = Object.assign(new Error(`EAGAIN: resource temporarily unavailable, write '${this._filePath}'`,
+            { cause: error }), { code: 'EAGAIN', syscall: 'write', path: this._filePath });
+        }
+        this._clearWriteTimer();
+        this._activeStream = null;
+        if (this._keepsWrittenBytes()) {
+          this._writtenBytes += writeStream.bytesWritten;
+        }
+        this._destroyStream(writeStream);
+        this._removeTempFile();
+        if (isSourceStarted) {
+          unlock();
+          this._handleError(error);
+        } else {
+          this._retryWrite(error, attempt, unlock);
+        }
+      };
 
-      writeStream.on('error', (error) => {
-        try {
-          const delay = this._options.writeFileRetryStrategy(error, attempt, this._filePath);
-          if (typeof delay === 'number') {
-            setTimeout(() => this._performWrite(attempt + 1, unlock), delay);
-          } else {
-            this._performWrite(attempt + 1, unlock);
+      const writeTimeout = this._options.writeTimeout !== undefined ? this._options.writeTimeout : 0;
+      if (writeTimeout > 0) {
+        this._writeTimer = setTimeout(() => {
+          this._writeTimer = null;
+          handleWriteError(new WriteTimeoutError(`Write timed out after ${writeTimeout} ms: ${this._filePath}`,
+            { path: this._filePath, attempts: attempt }));
+        }, writeTimeout);
+      }
+
+      writeStream.on('finish', () => {
+        this._commitWrite(writeStream, (error) => {
+          if (this._isAborted || hasFailed) return;
+          if (error) {
+            handleWriteError(error);
+            return;
           }
-        } catch (err) {
+          this._clearWriteTimer();
+          this._activeStream = null;
+          this._countBytes(this._writtenBytes + writeStream.bytesWritten);
+          if (this._circuitTicket) this._circuitBreaker.recordSuccess(this._circuitTicket);
+          this._settleCircuit(null);
           unlock();
-          this._handleError(err);
-        }
+          this._removeAbortListener();
+          if (this._finishCallback) {
+            this._finishCallback();
+          }
+          this._resolve();
+        });
       });
 
+      writeStream.on('error', handleWriteError);
+
       // Write the data
-      if (typeof this._data === 'string') {
-        writeStream.write(this._data, 'utf8');
+      if (this._isStreamingData()) {
+        // the source is only read once the file is open.
+        whenOpen(() => {
+          isSourceStarted = true;
+          this._pipeSource(writeStream, () => hasFailed)
+            .then(() => {
+              if (!this._isAborted && !hasFailed) writeStream.end();
+            }, handleWriteError);
+        });
       } else {
-        writeStream.write(this._data);
+        this._writeChunk(writeStream, this._getRemainingData());
+        writeStream.end();
       }
-      writeStream.end();
     } catch (error) {
       unlock();
       this._handleError(error);
     }
   }
 
+  /**
+   * Writes the chunks of a Readable stream or an iterable, waiting
+   * for the write stream to drain when its buffer is full.
+   * @param {fs.WriteStream} writeStream - The write stream
+   * @param {Function} hasFailed - Returns true when the write attempt failed () => boolean
+   * @returns {Promise<void>} Resolves when all the chunks are written, rejects when the source fails
+   * @private
+   */
+  async _pipeSource(writeStream, hasFailed) {
+    for await (const chunk of this._data) {
+      // leaving the loop also destroys a Readable source.
+      if (this._isAborted || hasFailed()) return;
+      if (!this._writeChunk(writeStream, chunk)) {
+        await new Promise((resolve) => {
+          const done = () => {
+            writeStream.off('drain', done);
+            writeStream.off('close', done);
+            resolve();
+          };
+          writeStream.on('drain', done);
+          writeStream.on('close', done);
+        });
+      }
+    }
+  }
+
+  /**
+   * Writes one chunk and reports the progress once it is flushed.
+   * @param {fs.WriteStream} writeStream - The write stream
+   * @param {string|Buffer} chunk - The chunk to write
+   * @returns {boolean} False if the write stream buffer is full
+   * @private
+   */
+  _writeChunk(writeStream, chunk) {
+    const onWritten = (err) => {
+      if (!err && !this._isAborted) {
+        this._attemptBytes = writeStream.bytesWritten;
+        this._emitHook('progress', writeStream.bytesWritten);
+      }
+    };
+    if (typeof chunk === 'string') {
+      return writeStream.write(chunk, this._options.encoding || 'utf8', onWritten);
+    }
+    return writeStream.write(chunk, onWritten);
+  }
+
+  /**
+   * Returns the data left to write. A retry only writes the
+   * bytes the failed attempts didn't write, when they stay written.
+   * @returns {string|Buffer} The data left to write
+   * @private
+   */
+  _getRemainingData() {
+    if (this._writtenBytes === 0) {
+      return this._data;
+    }
+    const data = typeof this._data === 'string' ? Buffer.from(this._data, this._options.encoding || 'utf8') : this._data;
+    return data.subarray(this._writtenBytes);
+  }
+
+  /**
+   * Checks if the bytes written by a failed attempt stay written,
+   * so the attempt can't be replayed: FIFOs and devices deliver
+   * them, and the append mode doesn't overwrite them.
+   * @returns {boolean} True if the written bytes stay written
+   * @private
+   */
+  _keepsWrittenBytes() {
+    return this._kind === 'fifo' || isDeviceFile(this._filePath, this._kind) ||
+      (this._options.mode === 'append' && !this._options.atomic);
+  }
+
+  /**
+   * Checks if the data is a Readable stream or an iterable
+   * to write chunk by chunk, rather than a string or a Buffer.
+   * @returns {boolean} True if the data is a streaming source
+   * @private
+   */
+  _isStreamingData() {
+    const data = this._data;
+    return data !== null && typeof data === 'object' && !(data instanceof Uint8Array) &&
+      (typeof data[Symbol.asyncIterator] === 'function' || typeof data[Symbol.iterator] === 'function');
+  }
+
+  /**
+   * Schedules a new write attempt with writeFileRetryStrategy,
+   * or reports the error when the strategy gives up.
+   * @param {Error} error - The error of the failed attempt
+   * @param {number} attempt - Current attempt number
+   * @param {Function} unlock - Function to unlock the mutex.
+   * @private
+   */
+  _retryWrite(error, attempt, unlock) {
+    try {
+      const decision = this._decideRetry(this._options.writeFileRetryStrategy, error, attempt, 'write');
+      if (decision.action === 'skip' || decision.action === 'finish') {
+        this._skip(unlock, error);
+        return;
+      }
+      this._emitHook('retry', error, attempt, decision.delay);
+      if (decision.action === 'reopen') {
+        this._retryTimer = setTimeout(() => this._waitForFileAndWrite(1, unlock), decision.delay);
+      } else {
+        this._retryTimer = setTimeout(() => {
+          this._resolveKind(unlock, () => this._performWrite(attempt + 1, unlock));
+        }, decision.delay);
+      }
+    } catch (err) {
+      unlock();
+      this._handleError(err);
+    }
+  }
+
+  /**
+   * Calls a retry strategy with the retry context
+   * and converts its result to a decision.
+   * @param {Function} strategy - The retry strategy
+   * @param {Error} error - The error of the failed attempt
+   * @param {number} attempt - Current attempt number
+   * @param {string} phase - Failed phase: 'exists' or 'write'
+   * @returns {Object} The decision: { action, delay }
+   * @throws {Error} When the strategy gives up
+   * @private
+   */
+  _decideRetry(strategy, error, attempt, phase) {
+    if (this._retryStartedAt === null) {
+      this._retryStartedAt = Date.now();
+    }
+    // the bytes of the failed attempts only stay written for FIFOs, devices and
+    // the append mode, other attempts write the data again.
+    const attemptBytes = phase === 'write' && !this._keepsWrittenBytes() ? this._attemptBytes : 0;
+    const context = {
+      operation: 'write',
+      phase,
+      filePath: this._filePath,
+      fileType: getRetryFileType(this._filePath, this._kind),
+      kind: this._kind,
+      elapsed: Date.now() - this._retryStartedAt,
+      bytesTransferred: this._writtenBytes + attemptBytes
+    };
+    return toRetryDecision(strategy(error, attempt, this._filePath, context));
+  }
+
+  /**
+   * Gives up on the write without error when a retry strategy
+   * decides to skip it, and lets the next write run.
+   * @param {Function} unlock - Function to unlock the mutex.
+   * @param {Error} error - The error that led to the skip
+   * @private
+   */
+  _skip(unlock, error) {
+    this._stats.skipped = true;
+    this._stopWaiting();
+    this._settleCircuit(null);
+    unlock();
+    this._removeAbortListener();
+    if (this._skipCallback) {
+      this._skipCallback(error);
+    }
+    this._resolve({ skipped: true });
+  }
+
+  /**
+   * Destroys a write stream. A FIFO open waiting for
+   * a reader is completed first with a non-blocking
+   * reader, so the stream can close its file.
+   * @param {fs.WriteStream} writeStream - The write stream
+   * @private
+   */
+  _destroyStream(writeStream) {
+    if (writeStream.pending && this._kind === 'fifo') {
+      fs.open(this._filePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK, (err, fd) => {
+        if (!err) {
+          fs.close(fd, () => {});
+        }
+      });
+    }
+    writeStream.destroy();
+  }
+
+  /**
+   * Stops the write timeout.
+   * @private
+   */
+  _clearWriteTimer() {
+    if (this._writeTimer) {
+      clearTimeout(this._writeTimer);
+      this._writeTimer = null;
+    }
+  }
+
+  /**
+   * Makes the written data durable for the atomic and fsync options:
+   * fsyncs and closes the file, then for atomic writes renames the
+   * temporary file over the file and fsyncs the directory. The temporary
+   * file gets the mode, and as root the owner, of the file it replaces.
+   * @param {fs.WriteStream} writeStream - The finished write stream
+   * @param {Function} callback - Function to call when done (error: Error|null) => void
+   * @private
+   */
+  _commitWrite(writeStream, callback) {
+    if (!this._isDurable()) {
+      callback(null);
+      return;
+    }
+
+    this._copyTargetStats(writeStream.fd, (statsErr) => {
+      if (statsErr || this._isAborted) {
+        callback(statsErr);
+        return;
+      }
+      this._syncAndRename(writeStream, callback);
+    });
+  }
+
+  /**
+   * Applies the mode of the file an atomic write replaces to the temporary
+   * file, and its owner when running as root. Nothing to copy for a new file.
+   * @param {number} fd - File descriptor of the temporary file
+   * @param {Function} callback - Function to call when done (error: Error|null) => void
+   * @private
+   */
+  _copyTargetStats(fd, callback) {
+    if (!this._tempPath) {
+      callback(null);
+      return;
+    }
+
+    fs.stat(this._targetPath, (err, stats) => {
+      if (err) {
+        callback(err.code === 'ENOENT' ? null : err);
+        return;
+      }
+      fs.fchmod(fd, stats.mode & 0o7777, (chmodErr) => {
+        if (chmodErr || !process.getuid || process.getuid() !== 0) {
+          callback(chmodErr);
+          return;
+        }
+        fs.fchown(fd, stats.uid, stats.gid, callback);
+      });
+    });
+  }
+
+  /**
+   * Fsyncs and closes the file, then renames the temporary file of an
+   * atomic write over the file and fsyncs the directory.
+   * @param {fs.WriteStream} writeStream - The finished write stream
+   * @param {Function} callback - Function to call when done (error: Error|null) => void
+   * @private
+   */
+  _syncAndRename(writeStream, callback) {
+    fs.fsync(writeStream.fd, (err) => {
+      if (err || this._isAborted) {
+        callback(err);
+        return;
+      }
+      writeStream.once('close', () => {
+        if (!this._tempPath || this._isAborted) {
+          callback(null);
+          return;
+        }
+        fs.rename(this._tempPath, this._targetPath, (renameErr) => {
+          if (renameErr) {
+            callback(renameErr);
+            return;
+          }
+          this._tempPath = null;
+          this._syncDirectory(callback);
+        });
+      });
+      // the stream doesn't close the fsynced file by itself.
+      writeStream.destroy();
+    });
+  }
+
+  /**
+   * Fsyncs the parent directory, so a rename survives a crash.
+   * @param {Function} callback - Function to call when done (error: Error|null) => void
+   * @private
+   */
+  _syncDirectory(callback) {
+    fs.open(path.dirname(this._targetPath), 'r', (err, fd) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      fs.fsync(fd, (syncErr) => {
+        fs.close(fd, () => callback(syncErr));
+      });
+    });
+  }
+
+  /**
+   * Removes the temporary file of an atomic write.
+   * @private
+   */
+  _removeTempFile() {
+    if (this._tempPath) {
+      try {
+        fs.unlinkSync(this._tempPath);
+      } catch (err) {
+        // not created yet, or already renamed.
+      }
+      this._tempPath = null;
+    }
+  }
+
+  /**
+   * Checks if the write must be fsynced, i.e. a regular
+   * file written with the atomic or fsync option.
+   * @returns {boolean} True if the write must be fsynced
+   * @private
+   */
+  _isDurable() {
+    return (this._options.atomic === true || this._options.fsync === true) &&
+      !isDeviceFile(this._filePath, this._kind) && this._kind !== 'fifo';
+  }
+
   /**
    * Creates a write stream with appropriate flags for different file types.
    * Handles device files (character/block), FIFOs, and regular files differently.
+   * The file type is the kind resolved with fs.stat for this attempt, following symlinks.
    * @returns {fs.WriteStream} The configured write stream
    * @private
    */
   _createWriteStream() {
-    const isDeviceFile = this._filePath.startsWith('/dev/');
+    const kind = this._kind;
     
-    if (isDeviceFile) {
-      const stats = fs.statSync(this._filePath);
-      if (stats.isCharacterDevice()) {
+    if (isDeviceFile(this._filePath, kind)) {
+      if (kind === 'character-device') {
         try {
           return createWriteStream(this._filePath, { flags: 'r+' });
         } catch (err) {
           return createWriteStream(this._filePath, { flags: 'w' });
         }
-      } else if (stats.isBlockDevice()) {
+      } else if (kind === 'block-device') {
         return createWriteStream(this._filePath, { flags: 'w' });
       } else {
+        // unplugged, don't create a regular file in its place.
         return createWriteStream(this._filePath, { flags: 'r+' });
       }
+    } else if (kind === 'fifo') {
+      return createWriteStream(this._filePath, { flags: 'w' });
+    } else if (this._options.atomic) {
+      // write next to the file a symlink points to, so the link is kept.
+      this._targetPath = resolveTargetPath(this._filePath);
+      const dir = path.dirname(this._targetPath);
+      const name = path.basename(this._targetPath);
+      const suffix = `${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}`;
+      this._tempPath = path.join(dir, `.${name}.${suffix}.tmp`);
+      return createWriteStream(this._tempPath, { flags: 'wx', autoClose: false });
     } else {
-      // regular files and FIFOs
-      return createWriteStream(this._filePath);
+      let mode = this._options.mode || 'truncate';
+      if (mode === 'exclusive' && this._hasCreatedFile) {
+        // a failed attempt created the file, the retry rewrites it.
+        mode = 'truncate';
+      }
+      const streamOptions = { flags: writeModeFlags[mode], autoClose: !this._options.fsync };
+      if (mode === 'offset') {
+        streamOptions.start = this._options.offset;
+      }
+      return createWriteStream(this._filePath, streamOptions);
     }
   }
 
   /**
-   * Checks if the file path refers to a named pipe (FIFO).
-   * @returns {boolean} True if the file is a FIFO, false otherwise
+   * Calls a lifecycle hook if it is set.
+   * @param {string} name - Hook name: open, waiting, retry or close
+   * @param {...*} args - Hook arguments
    * @private
    */
-  _isNamedPipe() {
-    try {
-      const stats = fs.statSync(this._filePath);
-      return stats.isFIFO();
-    } catch (err) {
-      return false;
+  _emitHook(name, ...args) {
+    this._recordHook(name);
+    const hook = this._hooks[name];
+    if (hook) {
+      hook(...args);
+    }
+  }
+
+  /**
+   * Updates the statistics for a lifecycle event.
+   * @param {string} name - Hook name
+   * @private
+   */
+  _recordHook(name) {
+    if (name === 'waiting') {
+      this._stats.retries.exists++;
+      if (this._fileStats) this._fileStats.retries.writeExists++;
+      if (this._waitingSince === null) {
+        this._waitingSince = Date.now();
+      }
+    } else if (name === 'open') {
+      this._stopWaiting();
+    } else if (name === 'retry') {
+      this._stats.retries.write++;
+      if (this._fileStats) this._fileStats.retries.write++;
+    }
+  }
+
+  /**
+   * Updates the statistics for written bytes.
+   * @param {number} bytes - Number of bytes written
+   * @private
+   */
+  _countBytes(bytes) {
+    this._stats.bytesWritten += bytes;
+    if (this._fileStats) {
+      this._fileStats.bytesWritten += bytes;
+      this._fileStats.writes++;
+    }
+  }
+
+  /**
+   * Adds the time spent waiting for the file
+   * to exist to the statistics.
+   * @private
+   */
+  _stopWaiting() {
+    if (this._waitingSince === null) return;
+    const elapsed = Date.now() - this._waitingSince;
+    this._waitingSince = null;
+    this._stats.waitingTime += elapsed;
+    if (this._fileStats) this._fileStats.waitingTime += elapsed;
+  }
+
+  /**
+   * Reports the end of the write operation to the circuit breaker:
+   * a failure, or a release when it finished, was skipped or aborted.
+   * @param {Error|null} error - The error that ended the write operation
+   * @private
+   */
+  _settleCircuit(error) {
+    if (!this._circuitTicket) return;
+    if (error && !(error instanceof AbortError)) {
+      this._circuitBreaker.recordFailure(this._circuitTicket);
+    } else {
+      this._circuitBreaker.release(this._circuitTicket);
+    }
+  }
+
+  /**
+   * Stops listening to the abort signal.
+   * @private
+   */
+  _removeAbortListener() {
+    if (this._abortListener) {
+      this._options.signal.removeEventListener('abort', this._abortListener);
+      this._abortListener = null;
     }
   }
 
@@ -237,9 +1106,17 @@ class WriteOperation {
    * @private
    */
   _handleError(error) {
+    this._removeAbortListener();
+    this._stopWaiting();
+    this._settleCircuit(error);
+    this._stats.lastError = error;
+    if (this._fileStats) this._fileStats.lastError = error;
     if (this._errorCallback) {
       this._errorCallback(error);
     }
+    if (this._reject) {
+      this._reject(error);
+    }
   }
 }
 
@@ -0,0 +1,176 @@
+import { WriteQueueError } from './Errors.js';
+
+/**
+ * Write queue map to ensure sequential
+ * writes per file: each file path
+ * gets its own queue, running one
+ * write operation at a time.
+ */
+const writeQueues = new Map();
+
+/**
+ * Insertion counter of the queued
+ * writes, the oldest has the lowest.
+ */
+let writeSequence = 0;
+
+/**
+ * Gets or creates the write queue of one file path.
+ * @param {string} filePath - The file path to get a write queue for
+ * @returns {WriteQueue} The write queue of this file path
+ */
+export function getWriteQueue(filePath) {
+  if (!writeQueues.has(filePath)) {
+    writeQueues.set(filePath, new WriteQueue(filePath));
+  }
+  return writeQueues.get(filePath);
+}
+
+/**
+ * Returns the number of write operations waiting
+ * in the write queue of one file path.
+ * @param {string} filePath - The file path
+ * @returns {number} The write queue depth
+ */
+export function getWriteQueueDepth(filePath) {
+  return writeQueues.has(filePath) ? writeQueues.get(filePath).depth : 0;
+}
+
+/**
+ * Queue of the write operations of one file path.
+ * Orders them by priority, bounds their number
+ * and runs one of them at a time.
+ */
+class WriteQueue {
+  /**
+   * Creates a new WriteQueue.
+   * @param {string} filePath - The file path of the queued writes
+   */
+  constructor(filePath) {
+    this._filePath = filePath;
+    this._pending = [];
+    this._isRunning = false;
+  }
+
+  /**
+   * Number of write operations waiting to run.
+   * @returns {number} The queue depth
+   */
+  get depth() {
+    return this._pending.length;
+  }
+
+  /**
+   * Adds a write to the queue. The 'coalesce-latest' policy cancels the
+   * queued writes of the same or a lower priority that were also queued
+   * with 'coalesce-latest'. When the queue is full, 'drop-oldest' cancels
+   * the oldest queued write, the other policies cancel the new write.
+   * @param {Object} entry - The queued write
+   * @param {number} entry.priority - Writes with a higher priority run first
+   * @param {Function} entry.start - Function to call when the write runs, with the function
+   *                                 to call once it is done (done: Function) => void
+   * @param {Function} entry.cancel - Function to call when the write is dropped (error: Error) => void
+   * @param {number} [maxQueue=0] - Maximum number of queued writes, 0 for no limit
+   * @param {string} [policy='reject'] - Policy of the write: 'reject', 'drop-oldest' or 'coalesce-latest'
+   */
+  enqueue(entry, maxQueue = 0, policy = 'reject') {
+    entry.policy = policy;
+    if (policy === 'coalesce-latest') {
+      this._cancelWhere(
+        (queued) => queued.policy === 'coalesce-latest' && queued.priority <= entry.priority,
+        new WriteQueueError(`Write superseded by a newer write: ${this._filePath}`,
+          { code: 'ERR_WRITE_SUPERSEDED', path: this._filePath })
+      );
+    }
+    if (maxQueue > 0 && this._pending.length >= maxQueue) {
+      if (policy === 'drop-oldest') {
+        const oldest = this._pending.reduce((a, b) => (a.sequence <= b.sequence ? a : b));
+        this.remove(oldest);
+        oldest.cancel(new WriteQueueError(`Write dropped from the full write queue: ${this._filePath}`,
+          { code: 'ERR_WRITE_DROPPED', path: this._filePath }));
+      } else {
+        entry.cancel(new WriteQueueError(`Write queue limit of ${maxQueue} writes reached: ${this._filePath}`,
+          { code: 'ERR_WRITE_QUEUE_FULL', path: this._filePath }));
+        return;
+      }
+    }
+
+    entry.sequence = writeSequence++;
+    // after the queued writes of the same or a higher priority.
+    const index = this._pending.findIndex((queued) => queued.priority < entry.priority);
+    if (index === -1) {
+      this._pending.push(entry);
+    } else {
+      this._pending.splice(index, 0, entry);
+    }
+    this._next();
+  }
+
+  /**
+   * Removes a write from the queue.
+   * @param {Object} entry - The queued write
+   * @returns {boolean} True if the write was queued
+   */
+  remove(entry) {
+    const index = this._pending.indexOf(entry);
+    if (index === -1) return false;
+    this._pending.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Cancels all the queued writes.
+   * The running write is not affected.
+   * @returns {number} Number of cancelled writes
+   */
+  clear() {
+    return this._cancelWhere(() => true, new WriteQueueError(`Write cleared from the write queue: ${this._filePath}`,
+      { code: 'ERR_WRITE_CLEARED', path: this._filePath }));
+  }
+
+  /**
+   * Cancels the queued writes matching a predicate with an error.
+   * @param {Function} predicate - Function selecting the writes to cancel (entry: Object) => boolean
+   * @param {Error} error - The error of the cancelled writes
+   * @returns {number} Number of cancelled writes
+   * @private
+   */
+  _cancelWhere(predicate, error) {
+    const cancelled = this._pending.filter(predicate);
+    this._pending = this._pending.filter((entry) => !cancelled.includes(entry));
+    for (const entry of cancelled) {
+      entry.cancel(error);
+    }
+    return cancelled.length;
+  }
+
+  /**
+   * Runs the next write once the running one is done.
+   * Writes stay in the queue until they run,
+   * so they can still be reordered or dropped.
+   * @private
+   */
+  _next() {
+    if (this._isRunning || this._pending.length === 0) return;
+    this._isRunning = true;
+
+    // the writes enqueued in the meantime are ordered first.
+    Promise.resolve().then(() => {
+      const entry = this._pending.shift();
+      if (!entry) {
+        // cleared in the meantime.
+        this._isRunning = false;
+        return;
+      }
+      let isDone = false;
+      entry.start(() => {
+        if (isDone) return;
+        isDone = true;
+        this._isRunning = false;
+        this._next();
+      });
+    });
+  }
+}
+
+export default WriteQueue;
@@ -14,7 +14,47 @@
  */
 
 import { File } from './File.js';
+import {
+  KeepStreamingError,
+  RetriesExhaustedError,
+  FileNotAvailableError,
+  ReadTimeoutError,
+  WriteTimeoutError,
+  AbortError,
+  CircuitOpenError,
+  WriteQueueError,
+  LimitExceededError
+} from './Errors.js';
+import RetryDecision from './RetryDecision.js';
+import {
+  exponentialBackoff,
+  retryForever,
+  maxAttempts,
+  maxElapsedTime,
+  retryOnCodes,
+  createRetryStrategy,
+  transientErrorCodes
+} from './RetryStrategies.js';
 
-export { File };
+export {
+  File,
+  KeepStreamingError,
+  RetriesExhaustedError,
+  FileNotAvailableError,
+  ReadTimeoutError,
+  WriteTimeoutError,
+  AbortError,
+  CircuitOpenError,
+  WriteQueueError,
+  LimitExceededError,
+  RetryDecision,
+  exponentialBackoff,
+  retryForever,
+  maxAttempts,
+  maxElapsedTime,
+  retryOnCodes,
+  createRetryStrategy,
+  transientErrorCodes
+};
 
 export default File; 
\ No newline at end of file
@@ -1,10 +1,29 @@
 import { test, describe } from 'node:test';
-import { execSync } from 'child_process';
+import { execSync, spawn, spawnSync } from 'child_process';
 import assert from 'node:assert';
 import fs from 'fs';
+import os from 'os';
+import net from 'net';
 import path from 'path';
+import { Readable, Writable } from 'stream';
+import { getEventListeners } from 'events';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
-import { File } from '../index.js';
+import {
+  File,
+  AbortError,
+  KeepStreamingError,
+  RetriesExhaustedError,
+  ReadTimeoutError,
+  WriteQueueError,
+  RetryDecision,
+  exponentialBackoff,
+  retryForever,
+  maxAttempts,
+  maxElapsedTime,
+  retryOnCodes,
+  createRetryStrategy
+} from '../index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -696,4 +715,2201 @@ describe('File class tests', () => {
     }
   });
 
+  test('should emit lines across chunk boundaries with onLine', (t, done) => {
+    const testFile = path.join(testFilesDir, 'lines-test.txt');
+    const endings = ['\n', '\r\n', '\r'];
+    const expectedLines = [];
+    let content = '';
+    for (let i = 0; i < 100; i++) {
+      const line = `Line ${i} ` + 'x'.repeat(i % 37);
+      expectedLines.push(line);
+      content += line + endings[i % endings.length];
+    }
+    // partial last line, flushed at EOF.
+    expectedLines.push('tail');
+    content += 'tail';
+    fs.writeFileSync(testFile, content);
+
+    const file = new File(testFile);
+    const lines = [];
+
+    file.prepareRead()
+      .onLine(line => {
+        lines.push(line);
+      })
+      .onFinish(() => {
+        assert.deepEqual(lines, expectedLines);
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      })
+      .read();
+  });
+
+  test('should emit frames with custom delimiter and drop oversized frames', (t, done) => {
+    const testFile = path.join(testFilesDir, 'frames-test.dat');
+    fs.writeFileSync(testFile, Buffer.concat([
+      Buffer.from('one'), Buffer.from([0x00]),
+      Buffer.from('x'.repeat(2000)), Buffer.from([0x00]),
+      Buffer.from('two'), Buffer.from([0x00]),
+      Buffer.from('partial')
+    ]));
+
+    const file = new File(testFile);
+    const frames = [];
+    const errors = [];
+
+    file.prepareRead()
+      .onFrame(frame => {
+        assert.ok(Buffer.isBuffer(frame));
+        frames.push(frame.toString());
+      }, {
+        delimiter: Buffer.from([0x00]),
+        maxFrameLength: 100,
+        encoding: null,
+        partialFrame: 'discard'
+      })
+      .onFinish(() => {
+        assert.deepEqual(frames, ['one', 'two']);
+        assert.equal(errors.length, 1);
+        assert.ok(errors[0].message.includes('maxFrameLength'));
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        errors.push(err);
+      })
+      .read();
+  });
+
+  test('should flush partial FIFO line when the writer disconnects', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'lines-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const file = new File(fifoPath);
+    const lines = [];
+    const readTimeout = setTimeout(() => {
+      done(new Error('FIFO read timeout'));
+    }, 3000);
+
+    const readOperation = file.prepareRead()
+      .onLine(line => {
+        lines.push(line);
+        if (lines.length === 3) {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        clearTimeout(readTimeout);
+        if (fs.existsSync(fifoPath)) fs.unlinkSync(fifoPath);
+        assert.deepEqual(lines, ['first', 'second', 'no newline']);
+        done();
+      })
+      .onError(err => {
+        clearTimeout(readTimeout);
+        done(err);
+      })
+      .read();
+
+    setTimeout(() => {
+      file.prepareWrite('first\r\nsecond\nno newline')
+        .onError(err => done(err))
+        .write();
+    }, 100);
+  });
+
+  test('should iterate over chunks with for await', async () => {
+    const testFile = path.join(testFilesDir, 'iterator-test.txt');
+    const testContent = 'B'.repeat(5000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    let readContent = '';
+    let finished = false;
+
+    const readOperation = file.prepareRead().onFinish(() => {
+      finished = true;
+    });
+
+    for await (const chunk of readOperation) {
+      assert.ok(Buffer.isBuffer(chunk));
+      readContent += chunk.toString();
+    }
+
+    fs.unlinkSync(testFile);
+    assert.equal(readContent, testContent);
+    assert.ok(finished);
+  });
+
+  test('should finish the read operation when leaving a for await loop', async () => {
+    const fifoPath = path.join(testFilesDir, 'iterator-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const file = new File(fifoPath);
+    let finishCount = 0;
+
+    const readOperation = file.prepareRead().onFinish(() => {
+      finishCount++;
+    });
+
+    setTimeout(() => {
+      file.prepareWrite('iterator data').write();
+    }, 100);
+
+    let readData = '';
+    for await (const chunk of readOperation) {
+      readData += chunk.toString();
+      if (readData.includes('iterator data')) break;
+    }
+
+    fs.unlinkSync(fifoPath);
+    assert.equal(readData, 'iterator data');
+    assert.equal(finishCount, 1);
+  });
+
+  test('should pause reading while chunks wait in the async iterator', async () => {
+    const testFile = path.join(testFilesDir, 'iterator-backpressure-test.txt');
+    const testContent = 'D'.repeat(3200);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    const readOperation = file.prepareRead({ highWaterMark: 16 });
+    let readContent = '';
+
+    for await (const chunk of readOperation) {
+      if (readContent.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        // 16 chunks wait in the iterator, reading is paused.
+        assert.ok(readOperation.getStats().chunks < 40);
+      }
+      readContent += chunk.toString();
+    }
+
+    fs.unlinkSync(testFile);
+    assert.equal(readContent, testContent);
+  });
+
+  test('should keep iterating after an error that does not stop reading', async () => {
+    const testFile = path.join(testFilesDir, 'iterator-error-test.txt');
+    fs.writeFileSync(testFile, 'a line that is too long\nok\n');
+
+    const file = new File(testFile);
+    const errors = [];
+    const frames = [];
+    const readOperation = file.prepareRead()
+      .onFrame(frame => frames.push(frame), { maxFrameLength: 4 })
+      .onError(err => errors.push(err.code));
+
+    let readContent = '';
+    for await (const chunk of readOperation) {
+      readContent += chunk.toString();
+    }
+
+    fs.unlinkSync(testFile);
+    assert.equal(readContent, 'a line that is too long\nok\n');
+    assert.deepEqual(frames, ['ok']);
+    assert.deepEqual(errors, ['ERR_FRAME_TOO_LONG']);
+  });
+
+  test('should resolve awaited write on finish', async () => {
+    const testFile = path.join(testFilesDir, 'await-write-test.txt');
+    const file = new File(testFile);
+
+    await file.prepareWrite('first').writeAsync();
+    await file.prepareWrite('second').write();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'second');
+
+    // write() keeps returning the operation for chaining.
+    const operation = file.prepareWrite('third');
+    assert.equal(operation.write(), operation);
+    await operation.writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'third');
+    fs.unlinkSync(testFile);
+
+    const strategy = (error) => {
+      throw error;
+    };
+    const exclusive = new File(testFile, { writeFileRetryStrategy: strategy });
+    await exclusive.prepareWrite('fourth', { mode: 'exclusive' }).write();
+    await assert.rejects(async () => {
+      await exclusive.prepareWrite('fifth', { mode: 'exclusive' }).write();
+    }, { code: 'EEXIST' });
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'fourth');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should reject awaited write when the retry strategy gives up', async () => {
+    // writing to a FIFO without reader fails with ENXIO.
+    const fifoPath = path.join(testFilesDir, 'reject-write-fifo');
+    execSync(`mkfifo ${fifoPath}`);
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: (error, attempt) => {
+        if (attempt >= 2) {
+          throw new Error('Custom write retry limit reached');
+        }
+        return 10;
+      }
+    });
+
+    let errorCallbackCalled = false;
+    await assert.rejects(
+      file.prepareWrite('data')
+        .onError(() => {
+          errorCallbackCalled = true;
+        })
+        .writeAsync(),
+      /Custom write retry limit reached/
+    );
+    assert.ok(errorCallbackCalled);
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should pipe a Readable from a file with backpressure', async () => {
+    const testFile = path.join(testFilesDir, 'readable-test.txt');
+    const testContent = 'C'.repeat(20000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    let readContent = '';
+
+    await pipeline(
+      file.createReadable({ highWaterMark: 16 }),
+      new Writable({
+        highWaterMark: 16,
+        write(chunk, encoding, callback) {
+          readContent += chunk.toString();
+          setImmediate(callback);
+        }
+      })
+    );
+
+    fs.unlinkSync(testFile);
+    assert.equal(readContent, testContent);
+  });
+
+  test('should pipe into a Writable for a file', async () => {
+    const testFile = path.join(testFilesDir, 'writable-test.txt');
+    fs.writeFileSync(testFile, 'previous content to truncate');
+
+    const file = new File(testFile);
+
+    await pipeline(
+      Readable.from(['first ', 'second ', 'third']),
+      file.createWritable()
+    );
+
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'first second third');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should write the chunks of a Writable through one open FIFO', async () => {
+    const fifoPath = path.join(testFilesDir, 'writable-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const reader = fs.createReadStream(fifoPath);
+    let readData = '';
+    reader.on('data', chunk => { readData += chunk.toString(); });
+    const ended = new Promise(resolve => reader.on('end', resolve));
+
+    async function* chunks() {
+      for (const chunk of ['one ', 'two ', 'three']) {
+        yield chunk;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+    await pipeline(Readable.from(chunks()), new File(fifoPath).createWritable());
+    await ended;
+
+    fs.unlinkSync(fifoPath);
+    assert.equal(readData, 'one two three');
+  });
+
+  test('should hold the write queue until a Writable is finished', async () => {
+    const testFile = path.join(testFilesDir, 'writable-queue-test.txt');
+    const file = new File(testFile);
+    const writable = file.createWritable();
+    const events = [];
+
+    writable.write('first ');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const queued = file.prepareWrite('queued', { mode: 'append' }).writeAsync()
+      .then(() => events.push('queued'));
+    writable.write('second');
+    await new Promise(resolve => writable.end(resolve));
+    events.push('writable');
+    await queued;
+
+    assert.deepEqual(events, ['writable', 'queued']);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'first secondqueued');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should remove the File signal listeners of finished Writables', async () => {
+    const testFile = path.join(testFilesDir, 'writable-signal-test.txt');
+    const controller = new AbortController();
+    const file = new File(testFile, { signal: controller.signal });
+
+    for (let i = 0; i < 20; i++) {
+      await pipeline(Readable.from([`write ${i}`]), file.createWritable());
+    }
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'write 19');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should write and read through a Duplex on a FIFO', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'duplex-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const duplex = new File(fifoPath).createDuplex();
+    let readData = '';
+
+    duplex.on('data', chunk => {
+      readData += chunk.toString();
+      if (readData === 'duplex data') {
+        duplex.destroy();
+      }
+    });
+    duplex.on('close', () => {
+      fs.unlinkSync(fifoPath);
+      assert.equal(readData, 'duplex data');
+      done();
+    });
+    duplex.on('error', err => done(err));
+
+    setTimeout(() => {
+      duplex.write('duplex data');
+    }, 100);
+  });
+
+  test('should follow appended, truncated and rotated file', (t, done) => {
+    const testFile = path.join(testFilesDir, 'follow-test.log');
+    const rotatedFile = testFile + '.1';
+    fs.writeFileSync(testFile, 'first\n');
+
+    const file = new File(testFile);
+    const lines = [];
+
+    const cleanup = () => {
+      if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+      if (fs.existsSync(rotatedFile)) fs.unlinkSync(rotatedFile);
+    };
+
+    const readOperation = file.prepareRead({ follow: true, followInterval: 20 })
+      .onLine(line => {
+        lines.push(line);
+        if (line === 'first') {
+          fs.appendFileSync(testFile, 'appended\n');
+        } else if (line === 'appended') {
+          // truncate
+          fs.writeFileSync(testFile, 'trunc\n');
+        } else if (line === 'trunc') {
+          // rotate
+          fs.renameSync(testFile, rotatedFile);
+          fs.writeFileSync(testFile, 'rotated\n');
+        } else if (line === 'rotated') {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        cleanup();
+        assert.deepEqual(lines, ['first', 'appended', 'trunc', 'rotated']);
+        done();
+      })
+      .onError(err => {
+        cleanup();
+        done(err);
+      })
+      .read();
+  });
+
+  test('should read data written to a rotated file before switching', (t, done) => {
+    const testFile = path.join(testFilesDir, 'follow-drain-test.log');
+    const rotatedFile = testFile + '.1';
+    fs.writeFileSync(testFile, 'first\n');
+
+    const file = new File(testFile);
+    const lines = [];
+
+    const cleanup = () => {
+      if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+      if (fs.existsSync(rotatedFile)) fs.unlinkSync(rotatedFile);
+    };
+
+    const readOperation = file.prepareRead({ follow: true, followInterval: 50 })
+      .onLine(line => {
+        lines.push(line);
+        if (line === 'first') {
+          // after EOF, the writer still appends to the rotated file.
+          setTimeout(() => {
+            fs.renameSync(testFile, rotatedFile);
+            fs.writeFileSync(testFile, 'new\n');
+            fs.appendFileSync(rotatedFile, 'late\n');
+          }, 10);
+        } else if (line === 'new') {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        cleanup();
+        assert.deepEqual(lines, ['first', 'late', 'new']);
+        done();
+      })
+      .onError(err => {
+        cleanup();
+        done(err);
+      })
+      .read();
+  });
+
+  test('should start following at the end of the file', (t, done) => {
+    const testFile = path.join(testFilesDir, 'follow-end-test.log');
+    fs.writeFileSync(testFile, 'old line\n');
+
+    const file = new File(testFile);
+
+    const readOperation = file.prepareRead({ follow: true, fromEnd: true, followInterval: 20 })
+      .onLine(line => {
+        assert.equal(line, 'new line');
+        readOperation.finish();
+      })
+      .onFinish(() => {
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      })
+      .read();
+
+    setTimeout(() => {
+      fs.appendFileSync(testFile, 'new line\n');
+    }, 100);
+  });
+
+  test('should read a byte range with start and end', (t, done) => {
+    const testFile = path.join(testFilesDir, 'range-test.txt');
+    fs.writeFileSync(testFile, '0123456789');
+
+    const file = new File(testFile);
+    let readContent = '';
+
+    file.prepareRead({ start: 2, end: 5 })
+      .onData(chunk => {
+        readContent += chunk.toString();
+      })
+      .onFinish(() => {
+        assert.equal(readContent, '2345');
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      })
+      .read();
+  });
+
+  test('should resume a read from the checkpoint file', (t, done) => {
+    const testFile = path.join(testFilesDir, 'checkpoint-test.txt');
+    const checkpointFile = path.join(testFilesDir, 'checkpoint-test.offset');
+    fs.writeFileSync(testFile, 'first part\n');
+    if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+
+    const file = new File(testFile);
+    const cleanup = () => {
+      if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+      if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+    };
+
+    const offsets = [];
+    let firstContent = '';
+
+    file.prepareRead({ checkpointFile })
+      .onData((chunk, finish, attempt, offset) => {
+        firstContent += chunk.toString();
+        assert.equal(offset, Buffer.byteLength(firstContent));
+      })
+      .onCheckpoint(offset => {
+        offsets.push(offset);
+      })
+      .onFinish(() => {
+        assert.equal(firstContent, 'first part\n');
+        assert.deepEqual(offsets, [11]);
+        assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '11');
+
+        fs.appendFileSync(testFile, 'second part\n');
+        let secondContent = '';
+
+        file.prepareRead({ checkpointFile })
+          .onData(chunk => {
+            secondContent += chunk.toString();
+          })
+          .onFinish(() => {
+            assert.equal(secondContent, 'second part\n');
+            assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '23');
+            cleanup();
+            done();
+          })
+          .onError(err => {
+            cleanup();
+            done(err);
+          })
+          .read();
+      })
+      .onError(err => {
+        cleanup();
+        done(err);
+      })
+      .read();
+  });
+
+  test('should not count an incomplete line in the checkpoint', (t, done) => {
+    const testFile = path.join(testFilesDir, 'checkpoint-line-test.txt');
+    const checkpointFile = path.join(testFilesDir, 'checkpoint-line-test.offset');
+    fs.writeFileSync(testFile, 'one\ntw');
+    if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+
+    const file = new File(testFile);
+    const cleanup = () => {
+      if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+      if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+    };
+
+    const readOperation = file.prepareRead({ follow: true, followInterval: 20, checkpointFile })
+      .onLine(() => {})
+      .onCheckpoint(offset => {
+        assert.equal(offset, 4);
+        readOperation.finish();
+      })
+      .onFinish(() => {
+        assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '4');
+        fs.appendFileSync(testFile, 'o\n');
+        const lines = [];
+
+        file.prepareRead({ checkpointFile })
+          .onLine(line => lines.push(line))
+          .onFinish(() => {
+            assert.deepEqual(lines, ['two']);
+            assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '8');
+            cleanup();
+            done();
+          })
+          .onError(err => {
+            cleanup();
+            done(err);
+          })
+          .read();
+      })
+      .onError(err => {
+        cleanup();
+        done(err);
+      })
+      .read();
+  });
+
+  test('should not end an empty line when resuming between a carriage return and a line feed', async () => {
+    const testFile = path.join(testFilesDir, 'checkpoint-crlf-test.txt');
+    const checkpointFile = path.join(testFilesDir, 'checkpoint-crlf-test.offset');
+    fs.writeFileSync(testFile, 'a\r\nb\n');
+    if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+    const file = new File(testFile);
+
+    const firstLines = [];
+    await new Promise((resolve, reject) => {
+      // the first chunk ends with '\r'.
+      const readOperation = file.prepareRead({ checkpointFile, highWaterMark: 2 })
+        .onLine(line => firstLines.push(line))
+        .onCheckpoint(() => readOperation.finish())
+        .onFinish(resolve)
+        .onError(reject);
+      readOperation.read();
+    });
+    assert.deepEqual(firstLines, ['a']);
+    assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '2');
+
+    const lines = [];
+    await new Promise((resolve, reject) => {
+      file.prepareRead({ checkpointFile })
+        .onLine(line => lines.push(line))
+        .onFinish(resolve)
+        .onError(reject)
+        .read();
+    });
+    assert.deepEqual(lines, ['b']);
+    assert.equal(fs.readFileSync(checkpointFile, 'utf8'), '5');
+    fs.unlinkSync(testFile);
+    fs.unlinkSync(checkpointFile);
+  });
+
+  test('should fail instead of restarting on an invalid checkpoint file', async () => {
+    const testFile = path.join(testFilesDir, 'checkpoint-invalid-test.txt');
+    const checkpointFile = path.join(testFilesDir, 'checkpoint-invalid-test.offset');
+    fs.writeFileSync(testFile, 'data\n');
+
+    for (const content of ['', '12abc', '1.5']) {
+      fs.writeFileSync(checkpointFile, content);
+      let hasData = false;
+      const error = await new Promise((resolve) => {
+        new File(testFile).prepareRead({ checkpointFile })
+          .onData(() => { hasData = true; })
+          .onError(resolve)
+          .read();
+      });
+      assert.equal(error.code, 'ERR_INVALID_CHECKPOINT');
+      assert.equal(hasData, false);
+    }
+
+    fs.unlinkSync(testFile);
+    fs.unlinkSync(checkpointFile);
+  });
+
+  test('should reset the idle timeout on every chunk and finish when idle', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'idle-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const file = new File(fifoPath);
+    const startTime = Date.now();
+    let readData = '';
+    let idleTimes = [];
+
+    file.prepareRead({ idleTimeout: 300, idleAction: 'finish' })
+      .onData(chunk => {
+        readData += chunk.toString();
+      })
+      .onIdle(idleTime => {
+        idleTimes.push(idleTime);
+      })
+      .onFinish(() => {
+        fs.unlinkSync(fifoPath);
+        assert.equal(readData, 'abcd');
+        assert.deepEqual(idleTimes, [300]);
+        // data kept flowing longer than the idle timeout.
+        assert.ok(Date.now() - startTime >= 600);
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+
+    ['a', 'b', 'c', 'd'].forEach((data, i) => {
+      setTimeout(() => {
+        file.prepareWrite(data).onError(err => done(err)).write();
+      }, 100 + i * 150);
+    });
+  });
+
+  test('should reopen through the read retry strategy when idle', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'idle-reopen-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    let writerFd = null;
+    const file = new File(fifoPath, {
+      readFileRetryStrategy: (error, attempt) => {
+        assert.ok(error.message.includes('idle'));
+        throw new Error('Stop after idle');
+      }
+    });
+
+    const readOperation = file.prepareRead({ idleTimeout: 100, idleAction: 'reopen' })
+      .onData(() => {
+        done(new Error('Should not receive data'));
+      })
+      .onError(err => {
+        assert.equal(err.message, 'Stop after idle');
+        fs.closeSync(writerFd);
+        readOperation.finish();
+        fs.unlinkSync(fifoPath);
+        done();
+      })
+      .read();
+
+    setTimeout(() => {
+      // a writer that never writes.
+      writerFd = fs.openSync(fifoPath, 'r+');
+    }, 20);
+  });
+
+  test('should unblock the pending open of a FIFO without writer on idle reopens', async () => {
+    const fifoPath = path.join(testFilesDir, 'idle-reopen-pending-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    let retries = 0;
+    const file = new File(fifoPath, { readFileRetryStrategy: () => 1 });
+
+    await new Promise((resolve, reject) => {
+      const readOperation = file.prepareRead({ idleTimeout: 20, idleAction: 'reopen' })
+        .onData(() => reject(new Error('Should not receive data')))
+        .onRetry(() => {
+          // more reopens than threads in the libuv pool.
+          if (++retries === 6) {
+            readOperation.finish();
+            resolve();
+          }
+        })
+        .onError(reject);
+      readOperation.read();
+    });
+
+    let timer;
+    const blocked = new Promise((resolve) => {
+      timer = setTimeout(resolve, 2000, 'blocked');
+    });
+    const result = await Promise.race([fs.promises.stat(fifoPath), blocked]);
+    clearTimeout(timer);
+    assert.notEqual(result, 'blocked');
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should apply backpressure with async onData handlers', (t, done) => {
+    const testFile = path.join(testFilesDir, 'async-handler-test.txt');
+    const testContent = 'D'.repeat(10000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    let readContent = '';
+    let pendingHandlers = 0;
+    let maxPendingHandlers = 0;
+
+    file.prepareRead()
+      .onData(async chunk => {
+        pendingHandlers++;
+        maxPendingHandlers = Math.max(maxPendingHandlers, pendingHandlers);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        readContent += chunk.toString();
+        pendingHandlers--;
+      })
+      .onFinish(() => {
+        assert.equal(readContent, testContent);
+        assert.equal(pendingHandlers, 0);
+        assert.equal(maxPendingHandlers, 1);
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      })
+      .read();
+  });
+
+  test('should pause and resume a read operation', (t, done) => {
+    const testFile = path.join(testFilesDir, 'pause-test.txt');
+    const testContent = 'E'.repeat(5000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    let readContent = '';
+    let isPaused = false;
+
+    const readOperation = file.prepareRead()
+      .onData(chunk => {
+        assert.ok(!isPaused, 'Should not receive data while paused');
+        readContent += chunk.toString();
+        if (readContent.length === 1024) {
+          isPaused = true;
+          readOperation.pause();
+          setTimeout(() => {
+            isPaused = false;
+            readOperation.resume();
+          }, 100);
+        }
+      })
+      .onFinish(() => {
+        assert.equal(readContent, testContent);
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      })
+      .read();
+  });
+
+  test('should buffer while paused and drop the oldest chunks', (t, done) => {
+    const testFile = path.join(testFilesDir, 'buffer-limit-test.txt');
+    let testContent = '';
+    for (let i = 0; i < 10; i++) {
+      testContent += String(i).repeat(1024);
+    }
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    let readContent = '';
+
+    const readOperation = file.prepareRead({ bufferLimit: 2048, bufferPolicy: 'drop-oldest' })
+      .onData(chunk => {
+        readContent += chunk.toString();
+      })
+      .onFinish(() => {
+        assert.equal(readContent, testContent.slice(-2048));
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => {
+        if (fs.existsSync(testFile)) fs.unlinkSync(testFile);
+        done(err);
+      });
+
+    readOperation.pause().read();
+    setTimeout(() => readOperation.resume(), 100);
+  });
+
+  test('should report an error when the read buffer limit is exceeded', (t, done) => {
+    const testFile = path.join(testFilesDir, 'buffer-error-test.txt');
+    fs.writeFileSync(testFile, 'F'.repeat(10240));
+
+    const file = new File(testFile);
+    let errorReported = false;
+
+    const readOperation = file.prepareRead({ bufferLimit: 2048 })
+      .onData(() => {
+        done(new Error('Should not receive data while paused'));
+      })
+      .onError(err => {
+        assert.ok(err.message.includes('buffer limit'));
+        errorReported = true;
+      })
+      .onFinish(() => {
+        assert.ok(errorReported);
+        fs.unlinkSync(testFile);
+        done();
+      });
+
+    readOperation.pause().read();
+  });
+
+  test('should broadcast a shared FIFO reader to all subscribers', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'shared-fifo');
+
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+
+    const file = new File(fifoPath, { shared: true });
+    const firstLines = [];
+    const secondLines = [];
+
+    const firstReader = file.prepareRead()
+      .onLine(line => {
+        firstLines.push(line);
+        if (line === 'one') {
+          // the second subscriber keeps the device open.
+          firstReader.finish();
+          setTimeout(() => {
+            file.prepareWrite('two\n').onError(err => done(err)).write();
+          }, 200);
+        }
+      })
+      .onError(err => done(err))
+      .read();
+
+    const secondReader = file.prepareRead()
+      .onLine(line => {
+        secondLines.push(line);
+        if (line === 'two') {
+          secondReader.finish();
+        }
+      })
+      .onFinish(() => {
+        fs.unlinkSync(fifoPath);
+        assert.deepEqual(firstLines, ['one']);
+        assert.deepEqual(secondLines, ['one', 'two']);
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+
+    setTimeout(() => {
+      file.prepareWrite('one\n').onError(err => done(err)).write();
+    }, 100);
+  });
+
+  test('should finish shared regular file subscribers at EOF', (t, done) => {
+    const testFile = path.join(testFilesDir, 'shared-test.txt');
+    const testContent = 'G'.repeat(5000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    const contents = ['', ''];
+    let finishCount = 0;
+
+    [0, 1].forEach(i => {
+      file.prepareRead({ shared: true })
+        .onData(chunk => {
+          contents[i] += chunk.toString();
+        })
+        .onFinish(() => {
+          finishCount++;
+          if (finishCount === 2) {
+            assert.equal(contents[0], testContent);
+            assert.equal(contents[1], testContent);
+            fs.unlinkSync(testFile);
+            done();
+          }
+        })
+        .onError(err => done(err))
+        .read();
+    });
+  });
+
+  test('should reject a shared read with different reader options', (t, done) => {
+    const testFile = path.join(testFilesDir, 'shared-options-test.txt');
+    fs.writeFileSync(testFile, 'shared content');
+
+    const file = new File(testFile);
+    let content = '';
+
+    file.prepareRead({ shared: true })
+      .onData(chunk => { content += chunk.toString(); })
+      .onFinish(() => {
+        assert.equal(content, 'shared content');
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+
+    file.prepareRead({ shared: true, start: 7 })
+      .onData(() => done(new Error('should not receive data')))
+      .onError(err => {
+        assert.equal(err.code, 'ERR_SHARED_OPTIONS_MISMATCH');
+      })
+      .read();
+  });
+
+  test('should pause the shared reader while a subscriber is paused', async () => {
+    const testFile = path.join(testFilesDir, 'shared-pause-test.txt');
+    const testContent = 'P'.repeat(20000);
+    fs.writeFileSync(testFile, testContent);
+
+    const file = new File(testFile);
+    const contents = ['', ''];
+    const finished = [];
+
+    const operations = [0, 1].map(i => {
+      let resolveFinish;
+      finished.push(new Promise(resolve => { resolveFinish = resolve; }));
+      return file.prepareRead({ shared: true })
+        .onData(chunk => { contents[i] += chunk.toString(); })
+        .onFinish(() => resolveFinish())
+        .onError(err => assert.fail(err));
+    });
+
+    operations[0].pause().read();
+    operations[1].read();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.ok(contents[1].length < testContent.length);
+    operations[0].resume();
+    await Promise.all(finished);
+
+    assert.equal(contents[0], testContent);
+    assert.equal(contents[1], testContent);
+    fs.unlinkSync(testFile);
+  });
+
+  test('should call read lifecycle hooks while waiting, opening and reconnecting', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'hooks-fifo');
+    if (fs.existsSync(fifoPath)) fs.unlinkSync(fifoPath);
+
+    const file = new File(fifoPath, {
+      readFileExistsRetryStrategy: () => 50
+    });
+    const events = [];
+
+    const readOperation = file.prepareRead()
+      .onWaiting((error, attempt, delay) => {
+        assert.equal(error.code, 'ENOENT');
+        assert.equal(delay, 50);
+        if (attempt === 1) {
+          events.push('waiting');
+          execSync('mkfifo ' + fifoPath);
+        }
+      })
+      .onOpen((attempt, isReopen) => {
+        events.push(isReopen ? 'reopen' : 'open');
+      })
+      .onReconnect(() => {
+        events.push('reconnect');
+      })
+      .onClose(() => {
+        events.push('close');
+      })
+      .onData(chunk => {
+        events.push(chunk.toString());
+        if (chunk.toString() === 'second') {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        fs.unlinkSync(fifoPath);
+        assert.deepEqual(events, ['waiting', 'open', 'first', 'close', 'reconnect', 'reopen', 'second', 'close']);
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+
+    setTimeout(() => {
+      file.prepareWrite('first').onError(err => done(err)).write();
+    }, 200);
+    setTimeout(() => {
+      file.prepareWrite('second').onError(err => done(err)).write();
+    }, 600);
+  });
+
+  test('should call write lifecycle hooks on retries', (t, done) => {
+    // writing to a FIFO without reader fails with ENXIO.
+    const fifoPath = path.join(testFilesDir, 'hooks-write-fifo');
+    execSync(`mkfifo ${fifoPath}`);
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: (error, attempt) => {
+        if (attempt >= 3) {
+          throw new Error('Custom write retry limit reached');
+        }
+        return 10;
+      }
+    });
+    const retries = [];
+
+    file.prepareWrite('data')
+      .onRetry((error, attempt, delay) => {
+        assert.equal(error.code, 'ENXIO');
+        retries.push([attempt, delay]);
+      })
+      .onError(err => {
+        assert.equal(err.message, 'Custom write retry limit reached');
+        assert.deepEqual(retries, [[1, 10], [2, 10]]);
+        fs.unlinkSync(fifoPath);
+        done();
+      })
+      .write();
+  });
+
+  test('should collect read and write statistics', (t, done) => {
+    const testFile = path.join(testFilesDir, 'stats-test.txt');
+    if (fs.existsSync(testFile)) {
+      fs.unlinkSync(testFile);
+    }
+    const file = new File(testFile, {
+      readFileExistsRetryStrategy: () => 50
+    });
+
+    const readOperation = file.prepareRead()
+      .onFinish(() => {
+        const readStats = readOperation.getStats();
+        assert.equal(readStats.bytesRead, 10);
+        assert.ok(readStats.chunks >= 1);
+        assert.ok(readStats.retries.exists >= 1);
+        assert.equal(readStats.retries.read, 0);
+        assert.ok(readStats.waitingTime >= 50);
+
+        const stats = file.getStats();
+        assert.equal(stats.bytesRead, 10);
+        assert.equal(stats.bytesWritten, 10);
+        assert.equal(stats.writes, 1);
+        assert.equal(stats.retries.readExists, readStats.retries.exists);
+        assert.equal(stats.writeQueueDepth, 0);
+        assert.equal(stats.lastError, null);
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => done(err));
+    readOperation.read();
+
+    setTimeout(() => {
+      const writeOperation = file.prepareWrite('stats data');
+      writeOperation
+        .onFinish(() => {
+          assert.equal(writeOperation.getStats().bytesWritten, 10);
+        })
+        .onError(err => done(err))
+        .write();
+    }, 120);
+  });
+
+  test('should report write queue depth and last error', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'queue-depth-fifo');
+    execSync(`mkfifo ${fifoPath}`);
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: (error, attempt) => {
+        if (attempt >= 2) {
+          throw new Error('Write failed');
+        }
+        return 10;
+      }
+    });
+
+    const first = file.prepareWrite('first');
+    const second = file.prepareWrite('second');
+    first.write();
+    second.write();
+    assert.equal(file.getStats().writeQueueDepth, 2);
+
+    second.writeAsync().catch(err => {
+      assert.equal(err.message, 'Write failed');
+      const stats = file.getStats();
+      assert.equal(stats.retries.write, 2);
+      assert.equal(stats.lastError, err);
+      assert.equal(stats.writeQueueDepth, 0);
+      assert.equal(second.getStats().retries.write, 1);
+      fs.unlinkSync(fifoPath);
+      done();
+    });
+  });
+
+  test('should abort a read operation waiting for the file', (t, done) => {
+    const controller = new AbortController();
+    const file = new File(path.join(testFilesDir, 'abort-missing.txt'), {
+      readFileExistsRetryStrategy: () => 10000
+    });
+    let finished = false;
+
+    file.prepareRead({ signal: controller.signal })
+      .onData(() => {})
+      .onWaiting(() => controller.abort())
+      .onFinish(() => {
+        finished = true;
+      })
+      .onError(err => {
+        assert.ok(err instanceof AbortError);
+        assert.equal(err.code, 'ABORT_ERR');
+        assert.equal(finished, false);
+        done();
+      })
+      .read();
+  });
+
+  test('should abort a queued write without running it', async () => {
+    const testFile = path.join(testFilesDir, 'abort-write.txt');
+    const controller = new AbortController();
+    const file = new File(testFile);
+
+    const first = file.prepareWrite('first').writeAsync();
+    const second = file.prepareWrite('second', { signal: controller.signal }).writeAsync();
+    const third = file.prepareWrite('third').writeAsync();
+    assert.equal(file.getStats().writeQueueDepth, 3);
+
+    controller.abort();
+    assert.equal(file.getStats().writeQueueDepth, 2);
+    await assert.rejects(second, { name: 'AbortError' });
+    await first;
+    await third;
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'third');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should abort a write waiting for a retry', async () => {
+    const fifoPath = path.join(testFilesDir, 'abort-retry-fifo');
+    execSync(`mkfifo ${fifoPath}`);
+    const controller = new AbortController();
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      signal: controller.signal,
+      writeFileRetryStrategy: () => 10000
+    });
+    const startedAt = Date.now();
+
+    const write = file.prepareWrite('data')
+      .onRetry(() => controller.abort(new Error('shutdown')))
+      .writeAsync();
+    await assert.rejects(write, (err) => {
+      assert.ok(err instanceof AbortError);
+      assert.equal(err.cause.message, 'shutdown');
+      return true;
+    });
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(file.getStats().writeQueueDepth, 0);
+
+    // the mutex is released for the next writes.
+    const next = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: () => {
+        throw new Error('Next write ran');
+      }
+    });
+    await assert.rejects(next.prepareWrite('again').writeAsync(), { message: 'Next write ran' });
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should wait for the file with hotplug and wait again when it is removed', (t, done) => {
+    const hotplugDir = path.join(testFilesDir, 'hotplug');
+    const devicePath = path.join(hotplugDir, 'device');
+    fs.rmSync(hotplugDir, { recursive: true, force: true });
+    fs.mkdirSync(hotplugDir);
+
+    const file = new File(devicePath, {
+      hotplug: true,
+      readFileExistsRetryStrategy: () => {
+        throw new Error('The retry strategy should not be used');
+      }
+    });
+    const events = [];
+    let waitingAt = 0;
+
+    const readOperation = file.prepareRead({ follow: true, followInterval: 50 })
+      .onWaiting((error, attempt, delay) => {
+        assert.equal(delay, Infinity);
+        events.push('waiting');
+        waitingAt = Date.now();
+        setTimeout(() => fs.writeFileSync(devicePath, events.length === 1 ? 'first' : 'second'), 100);
+      })
+      .onData(chunk => {
+        // picked up from the directory change, not from polling.
+        assert.ok(Date.now() - waitingAt < 1000);
+        events.push(chunk.toString());
+        if (chunk.toString() === 'first') {
+          fs.unlinkSync(devicePath);
+        } else {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        assert.deepEqual(events, ['waiting', 'first', 'waiting', 'second']);
+        fs.rmSync(hotplugDir, { recursive: true, force: true });
+        done();
+      })
+      .onError(err => done(err));
+    readOperation.read();
+  });
+
+  test('should report an error when the hotplug timeout expires', (t, done) => {
+    const file = new File(path.join(testFilesDir, 'missing-dir', 'device'), {
+      hotplug: true,
+      hotplugTimeout: 100
+    });
+
+    file.prepareRead()
+      .onData(() => {})
+      .onError(err => {
+        assert.ok(err.message.includes('after waiting 100 ms'));
+        done();
+      })
+      .read();
+  });
+
+  test('should decode multi-byte characters split across chunks', (t, done) => {
+    const testFile = path.join(testFilesDir, 'encoding-test.txt');
+    const text = 'héllo wörld ✓ 😀';
+    fs.writeFileSync(testFile, text);
+    const file = new File(testFile);
+    const chunks = [];
+
+    file.prepareRead({ encoding: 'utf8', highWaterMark: 1 })
+      .onData(chunk => {
+        assert.equal(typeof chunk, 'string');
+        chunks.push(chunk);
+      })
+      .onFinish(() => {
+        assert.equal(chunks.join(''), text);
+        assert.ok(!chunks.join('').includes('\ufffd'));
+        fs.unlinkSync(testFile);
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+  });
+
+  test('should end an incomplete character when a FIFO writer disconnects', (t, done) => {
+    const fifoPath = path.join(testFilesDir, 'encoding-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const file = new File(fifoPath);
+    let text = '';
+
+    const readOperation = file.prepareRead({ encoding: 'utf8' })
+      .onData(chunk => {
+        text += chunk;
+        if (text.endsWith('b')) {
+          readOperation.finish();
+        }
+      })
+      .onFinish(() => {
+        fs.unlinkSync(fifoPath);
+        // the bytes of the second writer don't complete the character of the first one.
+        assert.equal(text, '\ufffd\ufffdb');
+        done();
+      })
+      .onError(err => done(err))
+      .read();
+
+    setTimeout(() => {
+      file.prepareWrite(Buffer.from([0xe2, 0x82])).onError(err => done(err)).write();
+    }, 100);
+    setTimeout(() => {
+      file.prepareWrite(Buffer.from([0xac, 0x62])).onError(err => done(err)).write();
+    }, 400);
+  });
+
+  test('should write and read base64 and hex data', async () => {
+    const testFile = path.join(testFilesDir, 'base64-test.bin');
+    const bytes = Buffer.from([0x00, 0xff, 0x10, 0x80, 0x7f]);
+    const file = new File(testFile);
+
+    await file.prepareWrite(bytes.toString('base64'), { encoding: 'base64' }).writeAsync();
+    assert.deepEqual(fs.readFileSync(testFile), bytes);
+
+    let decoded = '';
+    for await (const chunk of file.prepareRead({ encoding: 'base64', highWaterMark: 2 })) {
+      decoded += chunk;
+    }
+    assert.equal(decoded, bytes.toString('base64'));
+
+    await file.prepareWrite('00ff', { encoding: 'hex' }).writeAsync();
+    assert.deepEqual(fs.readFileSync(testFile), Buffer.from([0x00, 0xff]));
+    assert.throws(() => file.prepareWrite('data', { encoding: 'unknown' }), /Unknown encoding/);
+    fs.unlinkSync(testFile);
+  });
+
+  test('should serialize requests and resolve with the matching response', async () => {
+    // the FIFO echoes each command back, as the response.
+    const fifoPath = path.join(testFilesDir, 'request-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const file = new File(fifoPath);
+
+    const [first, second] = await Promise.all([
+      file.request('PING 1\n', { match: line => line.startsWith('PING'), timeout: 2000 }),
+      file.request('PING 2\n', { match: /^PING/, timeout: 2000 })
+    ]);
+    assert.equal(first, 'PING 1');
+    assert.equal(second, 'PING 2');
+
+    await assert.rejects(
+      file.request('PONG\n', { match: /^PING/, timeout: 200 }),
+      /No response after 200 ms/
+    );
+
+    // a throwing matcher rejects the request and lets the next one run.
+    await assert.rejects(
+      file.request('PING 3\n', {
+        match: () => {
+          throw new Error('Invalid response');
+        },
+        timeout: 2000
+      }),
+      /Invalid response/
+    );
+    assert.equal(await file.request('PING 4\n', { match: /^PING/, timeout: 2000 }), 'PING 4');
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should match a global RegExp and time out after the command is written', async () => {
+    const fifoPath = path.join(testFilesDir, 'request-regexp-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const file = new File(fifoPath);
+    const match = /^PING/g;
+
+    assert.equal(await file.request('PING 1\n', { match, timeout: 2000 }), 'PING 1');
+    assert.equal(await file.request('PING 2\n', { match, timeout: 2000 }), 'PING 2');
+
+    // a queued write holds the command for longer than the timeout.
+    const slowSource = (async function* () {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      yield 'SLOW\n';
+    })();
+    const slowWrite = file.prepareWrite(slowSource).writeAsync();
+    assert.equal(await file.request('PING 3\n', { match, timeout: 200 }), 'PING 3');
+    await slowWrite;
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should time out a request whose device does not open', async () => {
+    const file = new File('/dev/keep-streaming-missing-device');
+    const startedAt = Date.now();
+
+    await assert.rejects(file.request('AT\r\n', { timeout: 200 }), (err) => {
+      assert.ok(err instanceof ReadTimeoutError);
+      assert.equal(err.phase, 'open');
+      assert.match(err.message, /Not open after 200 ms/);
+      return true;
+    });
+    assert.ok(Date.now() - startedAt < 1000);
+
+    // the next request of the path runs.
+    await assert.rejects(file.request('AT\r\n', { timeout: 2000, openTimeout: 100 }), /Not open after 100 ms/);
+  });
+
+  test('should append, create exclusively and write at an offset', async () => {
+    const modesDir = path.join(testFilesDir, 'modes');
+    const testFile = path.join(modesDir, 'nested', 'modes-test.txt');
+    fs.rmSync(modesDir, { recursive: true, force: true });
+    const file = new File(testFile);
+
+    // parent directories are created for every mode.
+    await file.prepareWrite('hello', { mode: 'exclusive' }).writeAsync();
+    await file.prepareWrite(' world', { mode: 'append' }).writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'hello world');
+
+    await file.prepareWrite('W', { mode: 'offset', offset: 6 }).writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'hello World');
+
+    await assert.rejects(file.prepareWrite('again', { mode: 'exclusive' }).writeAsync(), { code: 'EEXIST' });
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'hello World');
+
+    await file.prepareWrite('new').writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'new');
+
+    assert.throws(() => file.prepareWrite('data', { mode: 'unknown' }), /mode must be/);
+    assert.throws(() => file.prepareWrite('data', { mode: 'offset' }), /offset must be/);
+    fs.rmSync(modesDir, { recursive: true, force: true });
+  });
+
+  test('should write atomically and fsync', async () => {
+    const atomicDir = path.join(testFilesDir, 'atomic');
+    const testFile = path.join(atomicDir, 'config.json');
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+    const file = new File(testFile);
+    const events = [];
+
+    await file.prepareWrite('{"version":1}', { atomic: true }).writeAsync();
+    await file.prepareWrite('{"version":2}', { atomic: true })
+      .onOpen(() => {
+        // the file is replaced only once the write is complete.
+        events.push(fs.readFileSync(testFile, 'utf8'));
+      })
+      .onClose(() => events.push('close'))
+      .writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), '{"version":2}');
+    assert.deepEqual(events, ['{"version":1}', 'close']);
+    assert.deepEqual(fs.readdirSync(atomicDir), ['config.json']);
+
+    await file.prepareWrite('{"version":3}', { fsync: true }).writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), '{"version":3}');
+
+    assert.throws(() => file.prepareWrite('data', { atomic: true, mode: 'append' }), /only support the 'truncate' mode/);
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+  });
+
+  test('should keep the mode and the symlink of the file replaced by an atomic write', async () => {
+    const atomicDir = path.join(testFilesDir, 'atomic-mode');
+    const testFile = path.join(atomicDir, 'secret.conf');
+    const link = path.join(atomicDir, 'link.conf');
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+    fs.mkdirSync(atomicDir);
+    fs.writeFileSync(testFile, 'old');
+    fs.chmodSync(testFile, 0o600);
+    fs.symlinkSync('secret.conf', link);
+
+    await new File(testFile).prepareWrite('new', { atomic: true }).writeAsync();
+    assert.equal(fs.statSync(testFile).mode & 0o777, 0o600);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'new');
+
+    await new File(link).prepareWrite('linked', { atomic: true }).writeAsync();
+    assert.ok(fs.lstatSync(link).isSymbolicLink());
+    assert.equal(fs.statSync(testFile).mode & 0o777, 0o600);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'linked');
+    assert.deepEqual(fs.readdirSync(atomicDir).sort(), ['link.conf', 'secret.conf']);
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+  });
+
+  test('should retry a failed atomic rename and remove the temporary files', async () => {
+    const atomicDir = path.join(testFilesDir, 'atomic-fail');
+    const target = path.join(atomicDir, 'target');
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+    const errors = [];
+    const file = new File(target, {
+      writeFileRetryStrategy: (error) => {
+        errors.push(error.code);
+        return 10;
+      }
+    });
+
+    await file.prepareWrite('data', { atomic: true })
+      .onOpen((attempt) => {
+        if (attempt === 1) {
+          // a non-empty directory can't be replaced by a file.
+          fs.mkdirSync(path.join(target, 'child'), { recursive: true });
+        }
+      })
+      .onRetry(() => fs.rmSync(target, { recursive: true }))
+      .writeAsync();
+    assert.equal(errors.length, 1);
+    assert.ok(['EISDIR', 'ENOTEMPTY', 'EEXIST'].includes(errors[0]));
+    assert.deepEqual(fs.readdirSync(atomicDir), ['target']);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'data');
+    fs.rmSync(atomicDir, { recursive: true, force: true });
+  });
+
+  test('should wait for the lock file of another process', async () => {
+    const testFile = path.join(testFilesDir, 'locked.txt');
+    const lockPath = testFile + '.lock';
+    const owner = (pid, hostname = os.hostname()) => JSON.stringify({ pid, hostname, token: 'other' });
+    const file = new File(testFile, { processLock: true, lockTimeout: 2000 });
+
+    // held by a running process.
+    fs.writeFileSync(lockPath, owner(process.pid));
+    const startedAt = Date.now();
+    setTimeout(() => fs.unlinkSync(lockPath), 200);
+    await file.prepareWrite('first').writeAsync();
+    assert.ok(Date.now() - startedAt >= 200);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'first');
+    assert.ok(!fs.existsSync(lockPath));
+
+    // held by a process that is not running anymore.
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, owner(pid));
+    await file.prepareWrite('second').writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'second');
+    assert.ok(!fs.existsSync(lockPath));
+
+    // never released.
+    fs.writeFileSync(lockPath, owner(process.pid));
+    await assert.rejects(
+      file.prepareWrite('third', { lockTimeout: 100 }).writeAsync(),
+      /Lock not acquired after 100 ms/
+    );
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), owner(process.pid));
+    fs.unlinkSync(lockPath);
+    fs.unlinkSync(testFile);
+  });
+
+  test('should refresh the lock file while holding it', async () => {
+    const testFile = path.join(testFilesDir, 'refreshed-lock.txt');
+    const lockPath = testFile + '.lock';
+    const file = new File(testFile, { processLock: true, staleLockTimeout: 300 });
+
+    const slowSource = (async function* () {
+      yield 'start ';
+      await new Promise(resolve => setTimeout(resolve, 700));
+      yield 'end';
+    })();
+    const write = file.prepareWrite(slowSource).writeAsync();
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.ok(Date.now() - fs.statSync(lockPath).mtimeMs < 300);
+    await write;
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'start end');
+    assert.ok(!fs.existsSync(lockPath));
+    fs.unlinkSync(testFile);
+  });
+
+  test('should let a single process take over a stale lock file', async () => {
+    const testFile = path.join(testFilesDir, 'stale-lock.txt');
+    const lockPath = testFile + '.lock';
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, JSON.stringify({ pid, hostname: os.hostname(), token: 'other' }));
+    fs.writeFileSync(testFile, '');
+
+    // each process appends a start and an end line, while holding the lock.
+    const script = (i) => `
+      import { File } from ${JSON.stringify(path.join(__dirname, '..', 'index.js'))};
+      const source = (async function* () {
+        yield 'start ${i}\\n';
+        await new Promise(resolve => setTimeout(resolve, 100));
+        yield 'end ${i}\\n';
+      })();
+      await new File(${JSON.stringify(testFile)}, { processLock: true }).prepareWrite(source, { mode: 'append' }).writeAsync();
+    `;
+    await Promise.all([1, 2, 3].map(i => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [...process.execArgv, '--input-type=module', '-e', script(i)],
+        { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`exit code ${code}`))));
+    })));
+
+    const lines = fs.readFileSync(testFile, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 6);
+    for (let i = 0; i < lines.length; i += 2) {
+      assert.equal(lines[i + 1], lines[i].replace('start', 'end'));
+    }
+    assert.ok(!fs.existsSync(lockPath));
+    fs.unlinkSync(testFile);
+  });
+
+  test('should report ENXIO for a FIFO without reader with nonBlockingOpen', async () => {
+    const fifoPath = path.join(testFilesDir, 'nonblocking-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const errors = [];
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: (error, attempt) => {
+        errors.push(error.code);
+        if (attempt >= 2) {
+          throw error;
+        }
+        return 10;
+      }
+    });
+
+    await assert.rejects(file.prepareWrite('data').writeAsync(), { code: 'ENXIO' });
+    assert.deepEqual(errors, ['ENXIO', 'ENXIO']);
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should write the rest of the data after EAGAIN with nonBlockingOpen', async () => {
+    const fifoPath = path.join(testFilesDir, 'nonblocking-full-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const data = Buffer.alloc(200000);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = i % 251;
+    }
+    const errors = [];
+    const transferred = [];
+    const file = new File(fifoPath, {
+      nonBlockingOpen: true,
+      writeFileRetryStrategy: (error, attempt, information, context) => {
+        errors.push(error.code);
+        transferred.push(context.bytesTransferred);
+        if (attempt >= 100) {
+          throw error;
+        }
+        return 20;
+      }
+    });
+
+    // the reader doesn't read at first, so the FIFO is full.
+    const chunks = [];
+    let receivedBytes = 0;
+    const readOperation = file.prepareRead({ highWaterMark: 65536 })
+      .onData(chunk => {
+        chunks.push(chunk);
+        receivedBytes += chunk.length;
+        if (receivedBytes >= data.length) {
+          readOperation.finish();
+        }
+      })
+      .pause()
+      .read();
+    setTimeout(() => readOperation.resume(), 150);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const operation = file.prepareWrite(data);
+    await operation.writeAsync();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.ok(errors.includes('EAGAIN'));
+    // the bytes written by all the attempts, they were delivered.
+    assert.ok(transferred[0] > 0);
+    assert.deepEqual(transferred, [...transferred].sort((a, b) => a - b));
+    assert.ok(transferred[transferred.length - 1] < data.length);
+    assert.equal(operation.getStats().bytesWritten, data.length);
+    assert.ok(Buffer.concat(chunks).equals(data));
+    readOperation.finish();
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should time out a blocked FIFO write and release the mutex', async () => {
+    const fifoPath = path.join(testFilesDir, 'timeout-fifo');
+    if (!fs.existsSync(fifoPath)) {
+      execSync('mkfifo ' + fifoPath);
+    }
+    const file = new File(fifoPath, {
+      writeTimeout: 100,
+      writeFileRetryStrategy: (error) => {
+        throw error;
+      }
+    });
+
+    await assert.rejects(file.prepareWrite('lost').writeAsync(), { code: 'ETIMEDOUT' });
+
+    // the next write of the path runs once there is a reader.
+    const received = new Promise((resolve, reject) => {
+      const readOperation = file.prepareRead()
+        .onData(chunk => {
+          readOperation.finish();
+          resolve(chunk.toString());
+        })
+        .onError(reject)
+        .read();
+    });
+    await file.prepareWrite('after').writeAsync();
+    assert.equal(await received, 'after');
+    fs.unlinkSync(fifoPath);
+  });
+
+  test('should run queued writes by priority', async () => {
+    const testFile = path.join(testFilesDir, 'priority-test.txt');
+    fs.writeFileSync(testFile, '');
+    const file = new File(testFile);
+
+    await Promise.all([
+      file.prepareWrite('a', { mode: 'append' }).writeAsync(),
+      file.prepareWrite('b', { mode: 'append' }).writeAsync(),
+      file.prepareWrite('c', { mode: 'append', priority: 5 }).writeAsync(),
+      file.prepareWrite('d', { mode: 'append', priority: 1 }).writeAsync()
+    ]);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'cdab');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should apply the write queue limit policies', async () => {
+    const testFile = path.join(testFilesDir, 'queue-test.txt');
+
+    const rejecting = new File(testFile, { maxQueue: 2 });
+    const kept = [rejecting.prepareWrite('1').writeAsync(), rejecting.prepareWrite('2').writeAsync()];
+    await assert.rejects(rejecting.prepareWrite('3').writeAsync(), /Write queue limit of 2 writes reached/);
+    await Promise.all(kept);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), '2');
+
+    const dropping = new File(testFile, { maxQueue: 2, queuePolicy: 'drop-oldest' });
+    const dropped = dropping.prepareWrite('1').writeAsync();
+    const others = [dropping.prepareWrite('2').writeAsync(), dropping.prepareWrite('3').writeAsync()];
+    await assert.rejects(dropped, /Write dropped/);
+    await Promise.all(others);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), '3');
+
+    const coalescing = new File(testFile, { queuePolicy: 'coalesce-latest' });
+    const superseded = [coalescing.prepareWrite('1').writeAsync(), coalescing.prepareWrite('2').writeAsync()];
+    await coalescing.prepareWrite('latest').writeAsync();
+    for (const write of superseded) {
+      await assert.rejects(write, /superseded by a newer write/);
+    }
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'latest');
+
+    // only the coalescing writes of the same or a lower priority are superseded.
+    const order = [];
+    const write = (data, options) => coalescing.prepareWrite(data, options)
+      .onFinish(() => order.push(data))
+      .writeAsync();
+    const mixed = [
+      write('stop', { priority: 10, queuePolicy: 'reject' }),
+      write('urgent', { priority: 5 }),
+      write('reset', { queuePolicy: 'drop-oldest' }),
+      write('low')
+    ];
+    const latest = write('latest', { priority: 1 });
+    await Promise.all([mixed[0], mixed[1], mixed[2], latest]);
+    await assert.rejects(mixed[3], /superseded by a newer write/);
+    assert.deepEqual(order, ['stop', 'urgent', 'latest', 'reset']);
+
+    const full = new File(testFile, { maxQueue: 1, queuePolicy: 'coalesce-latest' });
+    const blocking = full.prepareWrite('kept', { queuePolicy: 'reject' }).writeAsync();
+    await assert.rejects(full.prepareWrite('new').writeAsync(), /Write queue limit of 1 writes reached/);
+    await blocking;
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'kept');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should clear the pending writes of the write queue', async () => {
+    const testFile = path.join(testFilesDir, 'clear-queue-test.txt');
+    const file = new File(testFile);
+
+    const writes = [file.prepareWrite('1').writeAsync(), file.prepareWrite('2').writeAsync(), file.prepareWrite('3').writeAsync()];
+    assert.equal(file.clearWriteQueue(), 3);
+    assert.equal(file.getStats().writeQueueDepth, 0);
+    for (const write of writes) {
+      await assert.rejects(write, /Write cleared from the write queue/);
+    }
+
+    await file.prepareWrite('after').writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'after');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should write Readable streams and iterables with progress', async () => {
+    const testFile = path.join(testFilesDir, 'stream-write-test.bin');
+    const file = new File(testFile);
+    const payload = Buffer.alloc(1024 * 1024, 'x');
+
+    const progress = [];
+    const source = Readable.from([payload.subarray(0, 300000), payload.subarray(300000)], { objectMode: false });
+    await file.prepareWrite(source)
+      .onProgress((bytes) => progress.push(bytes))
+      .writeAsync();
+    assert.ok(fs.readFileSync(testFile).equals(payload));
+    assert.ok(progress.length > 1);
+    assert.equal(progress[progress.length - 1], payload.length);
+    assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+
+    async function* lines() {
+      yield 'first\n';
+      yield Buffer.from('second\n');
+    }
+    await file.prepareWrite(lines()).writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'first\nsecond\n');
+
+    await file.prepareWrite(['a', 'b', 'c'], { mode: 'append' }).writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'first\nsecond\nabc');
+    assert.equal(file.getStats().bytesWritten, payload.length + 16);
+    fs.unlinkSync(testFile);
+  });
+
+  test('should not retry a failed streaming source and release the mutex', async () => {
+    const testFile = path.join(testFilesDir, 'stream-error-test.txt');
+    let retries = 0;
+    const file = new File(testFile, {
+      writeFileRetryStrategy: () => {
+        retries++;
+        return 10;
+      }
+    });
+
+    async function* failing() {
+      yield 'partial';
+      throw new Error('Source failed');
+    }
+    await assert.rejects(file.prepareWrite(failing()).writeAsync(), /Source failed/);
+    assert.equal(retries, 0);
+
+    await file.prepareWrite('next').writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'next');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should build composable retry strategies', async () => {
+    const ebusy = Object.assign(new Error('busy'), { code: 'EBUSY' });
+    const eacces = Object.assign(new Error('denied'), { code: 'EACCES' });
+
+    const backoff = exponentialBackoff({ initialDelay: 100, factor: 2, maxDelay: 500 });
+    assert.deepEqual([1, 2, 3, 4, 5].map((attempt) => backoff(ebusy, attempt, 'path')), [100, 200, 400, 500, 500]);
+
+    const jittered = exponentialBackoff({ initialDelay: 1000, jitter: 0.5 });
+    for (let i = 0; i < 20; i++) {
+      const delay = jittered(ebusy, 1, 'path');
+      assert.ok(delay >= 500 && delay <= 1000);
+    }
+    assert.throws(() => exponentialBackoff({ jitter: 2 }), /jitter must be between 0 and 1/);
+
+    assert.equal(retryForever(50)(ebusy, 1000, 'path'), 50);
+
+    const limited = maxAttempts(3, retryForever(10));
+    assert.equal(limited(ebusy, 2, 'path'), 10);
+    assert.throws(() => limited(ebusy, 3, 'path'), (err) => {
+      assert.match(err.message, /Gave up after 3 attempts: path/);
+      assert.equal(err.cause, ebusy);
+      return true;
+    });
+
+    const onCodes = retryOnCodes(undefined, retryForever(10));
+    assert.equal(onCodes(ebusy, 1, 'path'), 10);
+    assert.throws(() => onCodes(eacces, 1, 'path'), (err) => err === eacces);
+
+    const deadline = maxElapsedTime(100, retryForever(60));
+    assert.equal(deadline(ebusy, 1, 'path'), 60);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.throws(() => deadline(ebusy, 2, 'path'), /Gave up after \d+ ms and 2 attempts: path/);
+  });
+
+  test('should use a built retry strategy in a read operation', async () => {
+    const testFile = path.join(testFilesDir, 'missing-strategy-test.txt');
+    const file = new File(testFile, {
+      readFileExistsRetryStrategy: createRetryStrategy({ initialDelay: 10, maxAttempts: 3, codes: ['ENOENT'] })
+    });
+
+    const waits = [];
+    const error = await new Promise((resolve) => {
+      file.prepareRead()
+        .onData(() => {})
+        .onWaiting((err, attempt, delay) => waits.push(delay))
+        .onError(resolve)
+        .read();
+    });
+    assert.deepEqual(waits, [10, 20]);
+    assert.match(error.message, /Gave up after 3 attempts/);
+    assert.equal(error.cause.code, 'ENOENT');
+  });
+
+  test('should pass a retry context and act on retry decisions', async () => {
+    const testFile = path.join(testFilesDir, 'decision-test.txt');
+    fs.writeFileSync(testFile, 'existing');
+
+    const calls = [];
+    const file = new File(testFile, {
+      writeFileRetryStrategy: (error, attempt, information, context) => {
+        calls.push({ code: error.code, attempt, information, ...context });
+        if (calls.length === 1) return RetryDecision.retry(5);
+        if (calls.length === 2) return RetryDecision.reopen(5);
+        return RetryDecision.skip();
+      }
+    });
+
+    let finished = false;
+    let skipError = null;
+    const write = file.prepareWrite('new', { mode: 'exclusive' })
+      .onFinish(() => {
+        finished = true;
+      })
+      .onSkip((error) => {
+        skipError = error;
+      });
+    assert.deepEqual(await write.writeAsync(), { skipped: true });
+    assert.equal(finished, false);
+    assert.equal(skipError.code, 'EEXIST');
+    assert.equal(write.getStats().skipped, true);
+    assert.deepEqual(calls.map((call) => call.attempt), [1, 2, 1]);
+    assert.equal(calls[0].code, 'EEXIST');
+    assert.equal(calls[0].information, testFile);
+    assert.equal(calls[0].operation, 'write');
+    assert.equal(calls[0].phase, 'write');
+    assert.equal(calls[0].fileType, 'regular');
+    assert.equal(calls[0].bytesTransferred, 0);
+    assert.ok(calls[2].elapsed >= 10);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'existing');
+
+    // the skipped write released the mutex.
+    await file.prepareWrite('next').writeAsync();
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'next');
+    fs.unlinkSync(testFile);
+
+    const missing = new File(path.join(testFilesDir, 'decision-missing.txt'), {
+      readFileExistsRetryStrategy: (error, attempt, information, context) => {
+        assert.equal(context.operation, 'read');
+        assert.equal(context.phase, 'exists');
+        return RetryDecision.finish();
+      }
+    });
+    await new Promise((resolve, reject) => {
+      missing.prepareRead()
+        .onData(() => {})
+        .onFinish(resolve)
+        .onError(reject)
+        .read();
+    });
+  });
+
+  test('should retry after 1 ms when a retry strategy returns neither a delay nor a decision', async () => {
+    const testFile = path.join(testFilesDir, 'invalid-decision-test.txt');
+    fs.writeFileSync(testFile, 'existing');
+    const attempts = [];
+    const file = new File(testFile, {
+      writeFileRetryStrategy: (error, attempt) => {
+        attempts.push(attempt);
+        if (attempt === 1) return 'later';
+        if (attempt === 2) return { action: 'wait' };
+        fs.unlinkSync(testFile);
+        return undefined;
+      }
+    });
+
+    const retries = [];
+    await file.prepareWrite('new', { mode: 'exclusive' })
+      .onRetry((error, attempt, delay) => retries.push(delay))
+      .writeAsync();
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.deepEqual(retries, [1, 1, 1]);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'new');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should open the circuit breaker after consecutive failures and probe after the cooldown', async () => {
+    const testFile = path.join(testFilesDir, 'circuit-test.txt');
+    fs.writeFileSync(testFile, 'existing');
+
+    const states = [];
+    let strategyCalls = 0;
+    const file = new File(testFile, {
+      circuitBreaker: { failureThreshold: 2, cooldown: 100, onStateChange: (state) => states.push(state) },
+      writeFileRetryStrategy: (error) => {
+        strategyCalls++;
+        throw error;
+      }
+    });
+    assert.equal(file.getCircuitState(), 'closed');
+
+    await assert.rejects(file.prepareWrite('a', { mode: 'exclusive' }).writeAsync(), { code: 'EEXIST' });
+    assert.equal(file.getCircuitState(), 'closed');
+    await assert.rejects(file.prepareWrite('b', { mode: 'exclusive' }).writeAsync(), { code: 'EEXIST' });
+    assert.equal(file.getCircuitState(), 'open');
+    assert.equal(file.getStats().circuitState, 'open');
+
+    // fails fast, without going through the retry strategy.
+    await assert.rejects(file.prepareWrite('c').writeAsync(), { code: 'ECIRCUITOPEN', message: /Circuit open after 2 failures/ });
+    const readError = await new Promise((resolve) => {
+      file.prepareRead().onData(() => {}).onError(resolve).read();
+    });
+    assert.equal(readError.code, 'ECIRCUITOPEN');
+    assert.equal(strategyCalls, 2);
+
+    // the failed probe opens the circuit again.
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    await assert.rejects(file.prepareWrite('d', { mode: 'exclusive' }).writeAsync(), { code: 'EEXIST' });
+    assert.equal(file.getCircuitState(), 'open');
+
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    await file.prepareWrite('e').writeAsync();
+    assert.equal(file.getCircuitState(), 'closed');
+    assert.deepEqual(states, ['open', 'half-open', 'open', 'half-open', 'closed']);
+    assert.equal(fs.readFileSync(testFile, 'utf8'), 'e');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should release the circuit breaker probe of an aborted operation', async () => {
+    const testFile = path.join(testFilesDir, 'circuit-abort-test.txt');
+    fs.writeFileSync(testFile, 'existing');
+    const file = new File(testFile, {
+      circuitBreaker: { failureThreshold: 1, cooldown: 50 },
+      writeFileRetryStrategy: (error) => {
+        throw error;
+      }
+    });
+    await assert.rejects(file.prepareWrite('a', { mode: 'exclusive' }).writeAsync(), { code: 'EEXIST' });
+    assert.equal(file.getCircuitState(), 'open');
+    assert.equal(new File(testFile).getCircuitState(), null);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    const controller = new AbortController();
+    const probe = file.prepareRead({ signal: controller.signal }).onData(() => {});
+    probe.read();
+    assert.equal(file.getCircuitState(), 'half-open');
+    controller.abort();
+    assert.equal(file.getCircuitState(), 'open');
+
+    // the next operation is the probe.
+    await file.prepareWrite('b').writeAsync();
+    assert.equal(file.getCircuitState(), 'closed');
+    fs.unlinkSync(testFile);
+  });
+
+  test('should share the circuit breaker of a path and time out the probe', async () => {
+    const testFile = path.join(testFilesDir, 'circuit-shared-test.txt');
+    const states = [];
+    const first = new File(testFile, {
+      circuitBreaker: { failureThreshold: 1, cooldown: 50, probeTimeout: 50 },
+      readFileExistsRetryStrategy: (error) => {
+        throw error;
+      }
+    });
+    const second = new File(testFile, {
+      circuitBreaker: { onStateChange: (state) => states.push(state) },
+      readFileExistsRetryStrategy: () => 1000
+    });
+
+    await new Promise((resolve) => {
+      first.prepareRead().onData(() => {}).onError(resolve).read();
+    });
+    assert.equal(second.getCircuitState(), 'open');
+
+    // the probe keeps waiting for the file, the circuit opens again.
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    const controller = new AbortController();
+    second.prepareRead({ signal: controller.signal }).onData(() => {}).read();
+    assert.equal(first.getCircuitState(), 'half-open');
+    await new Promise((resolve) => setTimeout(resolve, 70));
+    assert.equal(first.getCircuitState(), 'open');
+    controller.abort();
+    assert.deepEqual(states, ['open', 'half-open', 'open']);
+  });
+
+  test('should report typed errors with code, path, attempts, phase and cause', async () => {
+    // writing to a FIFO without reader fails with ENXIO.
+    const fifoPath = path.join(testFilesDir, 'typed-errors-fifo');
+    execSync(`mkfifo ${fifoPath}`);
+    const file = new File(fifoPath, { nonBlockingOpen: true });
+    const exhausted = await file.prepareWrite('data').writeAsync().catch((err) => err);
+    fs.unlinkSync(fifoPath);
+    assert.ok(exhausted instanceof RetriesExhaustedError);
+    assert.ok(exhausted instanceof KeepStreamingError);
+    assert.equal(exhausted.name, 'RetriesExhaustedError');
+    assert.equal(exhausted.code, 'ERR_RETRIES_EXHAUSTED');
+    assert.equal(exhausted.path, fifoPath);
+    assert.equal(exhausted.attempts, 5);
+    assert.equal(exhausted.phase, 'write');
+    assert.equal(exhausted.cause.code, 'ENXIO');
+
+    const testFile = path.join(testFilesDir, 'typed-errors-test.txt');
+    const queued = new File(testFile);
+    const writes = [queued.prepareWrite('1').writeAsync(), queued.prepareWrite('2').writeAsync()];
+    queued.clearWriteQueue();
+    for (const write of writes) {
+      await assert.rejects(write, (err) => {
+        assert.ok(err instanceof WriteQueueError);
+        assert.equal(err.code, 'ERR_WRITE_CLEARED');
+        assert.equal(err.phase, 'queue');
+        assert.equal(err.path, testFile);
+        return true;
+      });
+    }
+
+    const controller = new AbortController();
+    controller.abort('shutdown');
+    await assert.rejects(queued.prepareWrite('3', { signal: controller.signal }).writeAsync(), (err) => {
+      assert.ok(err instanceof AbortError);
+      assert.ok(err instanceof KeepStreamingError);
+      assert.equal(err.code, 'ABORT_ERR');
+      assert.equal(err.path, testFile);
+      assert.equal(err.cause, 'shutdown');
+      return true;
+    });
+  });
+
+  test('should detect the file kind with fs.stat and follow symlinks', async () => {
+    const regularFile = path.join(testFilesDir, 'kind-test.txt');
+    const fifoPath = path.join(testFilesDir, 'kind-test-fifo');
+    const deviceLink = path.join(testFilesDir, 'kind-test-device');
+    const socketPath = path.join(testFilesDir, 'kind-test-socket');
+    fs.writeFileSync(regularFile, 'data');
+    execSync(`mkfifo ${fifoPath}`);
+    fs.symlinkSync('/dev/null', deviceLink);
+
+    try {
+      assert.equal(new File(regularFile).getKind(), 'regular');
+      assert.equal(new File(fifoPath).getKind(), 'fifo');
+      assert.equal(new File(testFilesDir).getKind(), 'directory');
+      assert.equal(new File(path.join(testFilesDir, 'kind-missing.txt')).getKind(), null);
+      assert.equal(new File('/dev/null').getKind(), 'character-device');
+      assert.equal(new File(deviceLink).getKind(), 'character-device');
+
+      // a device outside /dev/ is written as a device, its lock file path only depends on the path.
+      const device = new File(deviceLink, { processLock: true });
+      let lockExists = null;
+      await device.prepareWrite('data').onOpen(() => {
+        lockExists = fs.existsSync(`${deviceLink}.lock`);
+      }).writeAsync();
+      assert.equal(lockExists, true);
+      assert.equal(fs.readlinkSync(deviceLink), '/dev/null');
+
+      // directories and sockets fail without going through the retry strategies.
+      const strategy = () => {
+        throw new Error('Retried');
+      };
+      const directory = new File(testFilesDir, { readFileRetryStrategy: strategy, writeFileRetryStrategy: strategy });
+      await assert.rejects(directory.prepareWrite('data').writeAsync(),
+        { code: 'ERR_UNSUPPORTED_FILE_KIND', phase: 'open', path: testFilesDir, message: /Can't read or write a directory/ });
+      const readError = await new Promise((resolve) => {
+        directory.prepareRead().onData(() => {}).onError(resolve).read();
+      });
+      assert.ok(readError instanceof KeepStreamingError);
+      assert.equal(readError.code, 'ERR_UNSUPPORTED_FILE_KIND');
+
+      const server = net.createServer();
+      await new Promise((resolve) => server.listen(socketPath, resolve));
+      try {
+        assert.equal(new File(socketPath).getKind(), 'socket');
+        await assert.rejects(new File(socketPath).prepareWrite('data').writeAsync(),
+          { code: 'ERR_UNSUPPORTED_FILE_KIND', message: /Can't read or write a socket/ });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    } finally {
+      fs.unlinkSync(regularFile);
+      fs.unlinkSync(fifoPath);
+      fs.unlinkSync(deviceLink);
+    }
+  });
+
 }); 